@@ -0,0 +1,176 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * Polls mahi for changes to accounts, users, roles, policies and access keys,
+ * and hands each one to MahiClient.prototype.handleChange() so that the
+ * client's caches drop anything the change makes out of date.
+ *
+ * The changes endpoint is expected to behave as follows:
+ *
+ *      GET <path>?since=<position>
+ *
+ * returns {changes: [ <change>, ... ], position: <position>}, where each
+ * change is as described for handleChange(), and `position` is passed back as
+ * `since` on the next poll. The first poll is made without `since`, and should
+ * return only the current position. A 410 response means that `since` is too
+ * old for the changes since then to be known, in which case every cache is
+ * cleared and polling starts again from the position returned.
+ */
+
+var assert = require('assert-plus');
+var qs = require('querystring');
+
+
+///--- API
+
+/*
+ * client: MahiClient
+ * path: (optional) path of the changes endpoint. default "/changes"
+ * intervalMs: (optional) time between polls. default 5000
+ * log: (optional) bunyan logger. default: the client's
+ */
+function ChangeFeed(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.client, 'opts.client');
+    assert.optionalString(opts.path, 'opts.path');
+    assert.optionalNumber(opts.intervalMs, 'opts.intervalMs');
+    assert.optionalObject(opts.log, 'opts.log');
+
+    var self = this;
+
+    self.client = opts.client;
+    self.path = opts.path || '/changes';
+    self.intervalMs = opts.intervalMs || 5000;
+    self.log = opts.log || opts.client.log;
+    self.position = undefined;
+    self.running = false;
+    self._timer = null;
+    /* bumped by each start(), so that polls from before a stop() are ignored */
+    self._pollId = 0;
+}
+
+
+ChangeFeed.prototype.start = function start() {
+    var self = this;
+    if (self.running) {
+        return;
+    }
+    self.running = true;
+    self._pollId++;
+    self._poll();
+};
+
+
+/*
+ * Stops polling. A poll that is already in flight is ignored when it
+ * completes, even if the feed has been started again by then.
+ */
+ChangeFeed.prototype.stop = function stop() {
+    var self = this;
+    self.running = false;
+    if (self._timer) {
+        clearTimeout(self._timer);
+        self._timer = null;
+    }
+};
+
+
+ChangeFeed.prototype._schedule = function _schedule() {
+    var self = this;
+    if (!self.running) {
+        return;
+    }
+    self._timer = setTimeout(function () {
+        self._timer = null;
+        self._poll();
+    }, self.intervalMs);
+    /* polling alone shouldn't keep the process alive */
+    self._timer.unref();
+};
+
+
+ChangeFeed.prototype._poll = function _poll() {
+    var self = this;
+    var path = self.path;
+    var pollId = self._pollId;
+
+    if (self.position !== undefined) {
+        path += '?' + qs.stringify({
+            since: self.position
+        });
+    }
+
+    /* a failing feed mustn't open the breaker for lookups */
+    self.client.http.get({
+        path: path,
+        breaker: false
+    }, function (err, req, res, obj) {
+        if (!self.running || pollId !== self._pollId) {
+            return;
+        }
+
+        if (!err && (typeof (obj) !== 'object' || obj === null ||
+            (obj.changes !== undefined && !Array.isArray(obj.changes)))) {
+            if (self.log) {
+                self.log.warn({
+                    path: path
+                }, 'invalid response to change feed poll');
+            }
+            self._schedule();
+            return;
+        }
+
+        if (err && err.statusCode !== 410) {
+            if (self.log) {
+                self.log.warn({
+                    err: err,
+                    path: path
+                }, 'failed to poll mahi for changes');
+            }
+            self._schedule();
+            return;
+        }
+
+        if (err) {
+            if (self.log) {
+                self.log.warn({
+                    since: self.position
+                }, 'mahi change feed position expired, clearing caches');
+            }
+            self.client.invalidateAll();
+        } else if (self.position !== undefined) {
+            (obj.changes || []).forEach(function (change) {
+                try {
+                    self.client.handleChange(change);
+                } catch (e) {
+                    if (self.log) {
+                        self.log.warn({
+                            err: e,
+                            change: change
+                        }, 'ignoring malformed change from mahi');
+                    }
+                }
+            });
+        }
+
+        if (obj && obj.position !== undefined) {
+            self.position = obj.position;
+        } else if (err) {
+            self.position = undefined;
+        }
+        self._schedule();
+    });
+};
+
+
+module.exports = {
+    ChangeFeed: ChangeFeed
+};
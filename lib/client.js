@@ -7,17 +7,28 @@
 /*
  * Copyright 2020 Joyent, Inc.
  * Copyright 2022 The University of Queensland
- * Copyright 2025 Edgecast Cloud LLC.
+ * Copyright 2026 Edgecast Cloud LLC.
  */
 
 var assert = require('assert-plus');
 var aperture = require('aperture');
+var ChangeFeed = require('./changefeed.js').ChangeFeed;
 var errors = require('./errors.js');
+var EventEmitter = require('events').EventEmitter;
+var lint = require('./lint.js');
+var LookupTable = require('./lookup.js').LookupTable;
 var LRU = require('lru-cache');
 var httpSignature = require('http-signature');
+var metrics = require('./metrics.js');
+var middleware = require('./middleware.js');
+var EndpointPool = require('./pool.js').EndpointPool;
+var postPolicy = require('./postpolicy.js');
 var qs = require('querystring');
-var restify = require('restify');
+var s3 = require('./s3.js');
+var sigv4 = require('./sigv4.js');
+var snapshot = require('./snapshot.js');
 var sprintf = require('util').format;
+var util = require('util');
 
 
 ///--- Globals
@@ -25,12 +36,208 @@ var sprintf = require('util').format;
 var ADMIN_ROLE_NAME = 'administrator';
 var ANONYMOUS_USER = 'anonymous';
 
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+var CACHE_METRICS = {
+    hit: metrics.NAMES.CACHE_HITS,
+    miss: metrics.NAMES.CACHE_MISSES,
+    eviction: metrics.NAMES.CACHE_EVICTIONS
+};
+
+
+
+///--- Helpers
+
+/*
+ * Parses an HTTP signature keyId (see authenticate()) into
+ * {account, user, fingerprint}, or returns null if it is malformed.
+ */
+function parseKeyId(keyId) {
+    var parts = keyId.split('/');
+    if (parts[0] !== '' || parts[parts.length - 2] !== 'keys') {
+        return (null);
+    }
+
+    var parsed = {
+        account: parts[1],
+        fingerprint: parts[parts.length - 1]
+    };
+    if (parts.length === 5) {
+        parsed.user = parts[2];
+    } else if (parts.length === 6 && parts[2] === 'users') {
+        parsed.user = parts[3];
+    } else if (parts.length !== 4) {
+        return (null);
+    }
+
+    if (!parsed.account || !parsed.fingerprint || parsed.user === '') {
+        return (null);
+    }
+    return (parsed);
+}
+
+
+/*
+ * Calls fn(item, next) for each of `items`, with at most `concurrency` calls
+ * outstanding at once, and calls cb() once every call has called next().
+ */
+function forEachParallel(items, concurrency, fn, cb) {
+    var started = 0;
+    var finished = 0;
+    var running = 0;
+
+    if (!items.length) {
+        setImmediate(cb);
+        return;
+    }
+
+    function launch() {
+        while (running < concurrency && started < items.length) {
+            running++;
+            fn(items[started++], next);
+        }
+    }
+
+    function next() {
+        running--;
+        if (++finished === items.length) {
+            cb();
+            return;
+        }
+        launch();
+    }
+
+    launch();
+}
+
+
+/*
+ * Splits a cache key into its path and parsed query string.
+ */
+function splitPath(key) {
+    var i = key.indexOf('?');
+    if (i < 0) {
+        return ({
+            path: key,
+            query: {}
+        });
+    }
+    return ({
+        path: key.substr(0, i),
+        query: qs.parse(key.substr(i + 1))
+    });
+}
+
+
+/*
+ * Builds the request options for `path`, taking any per-call connectTimeout,
+ * requestTimeout and retries from `opts`.
+ */
+function requestOptions(path, opts) {
+    var options = {
+        path: path
+    };
+    if (opts) {
+        assert.optionalNumber(opts.connectTimeout, 'opts.connectTimeout');
+        assert.optionalNumber(opts.requestTimeout, 'opts.requestTimeout');
+        assert.optionalNumber(opts.retries, 'opts.retries');
+        options.connectTimeout = opts.connectTimeout;
+        options.requestTimeout = opts.requestTimeout;
+        options.retries = opts.retries;
+    }
+    return (options);
+}
+
+
+/*
+ * Returns true if an aperture rule names the resources it applies to, rather
+ * than relying on the resource's role tags.
+ */
+function hasExplicitResources(rule) {
+    /*
+     * Aperture parser sets .resources to the Number 1 if '*' or 'all'
+     * was given as the target.
+     */
+    if (rule[1].resources === 1)
+        return (true);
+    if (typeof (rule[1].resources) !== 'object')
+        return (false);
+    /*
+     * Two ways for an exact match to be formatted: as an array, or as
+     * a lookup object.
+     */
+    if (Array.isArray(rule[1].resources.exact)) {
+        if (rule[1].resources.exact.length > 0)
+            return (true);
+    } else if (typeof (rule[1].resources.exact) === 'object' &&
+        rule[1].resources.exact !== null) {
+
+        if (Object.keys(rule[1].resources.exact).length > 0)
+            return (true);
+    }
+    /*
+     * Regexes are always an array.
+     */
+    if (Array.isArray(rule[1].resources.regex)) {
+        if (rule[1].resources.regex.length > 0)
+            return (true);
+    }
+    return (false);
+}
+
+
+/*
+ * Returns a new error of the same type and with the same fields as a cached
+ * error (a MahiError from the decision cache, or a 404 from the negative
+ * cache), so that callers never share (or decorate) one instance.
+ */
+function copyError(err) {
+    var copy = Object.create(Object.getPrototypeOf(err));
+    Object.keys(err).forEach(function (k) {
+        copy[k] = err[k];
+    });
+    copy.message = err.message;
+    if (typeof (err.body) === 'object' && err.body !== null) {
+        copy.body = {};
+        Object.keys(err.body).forEach(function (k) {
+            copy.body[k] = err.body[k];
+        });
+    }
+    Error.captureStackTrace(copy, copyError);
+    return (copy);
+}
+
 
 
 ///--- API
 
 /**
  * url: mahi server URL
+ * urls: (optional) array of mahi server URLs, instead of url, for a set of
+ *      mahi replicas. Each request goes to the healthiest replica (see
+ *      EndpointPool in pool.js), and GETs that fail with a network error or a
+ *      5xx are retried on the other replicas in turn
+ * endpointBackoffMs: (optional) how long a replica is avoided after a failed
+ *      request. Doubles with each consecutive failure. default 1000
+ * maxEndpointBackoffMs: (optional) maximum time a replica is avoided after
+ *      failed requests. default 30000
+ * connectTimeout: (optional) ms to wait for a connection to mahi.
+ *      default: none
+ * requestTimeout: (optional) ms to wait for mahi to respond once connected.
+ *      default: none
+ * retries: (optional) number of times a request that failed on every replica
+ *      with a network error, timeout or 5xx is retried. Only idempotent
+ *      requests are retried. default 0
+ * retryDelayMs: (optional) delay before the first retry, doubling with each
+ *      further retry and jittered by up to half. default 100
+ * maxRetryDelayMs: (optional) maximum delay between retries. default 2000
+ * circuitBreakerThreshold: (optional) number of consecutive failed requests
+ *      after which every request fails immediately with CircuitOpenError,
+ *      until circuitBreakerResetMs has passed and a trial request succeeds.
+ *      Background polling doesn't count. 0 disables the circuit breaker.
+ *      default 0
+ * circuitBreakerResetMs: (optional) how long the circuit breaker stays open.
+ *      default 10000
  * typeTable: (optional) mahi type table for rule evaluation during
  *      authorization. Calls to authorize() will fail if the mahi client is not
  *      created with a type table and no type table is passed in to the request
@@ -38,46 +245,237 @@ var ANONYMOUS_USER = 'anonymous';
  *      client-side authentication cache. default 50
  * maxAuthCacheAgeMs: (optional) maximum age of objects in the client-side
  *      authentication cache. default 300000 (5 minutes)
+ * staleAuthCacheAgeMs: (optional) age after which objects in the client-side
+ *      authentication and access key caches are considered stale. A stale
+ *      object is still returned, but is refreshed from mahi in the background.
+ *      If the refresh fails, the stale object keeps being returned until it
+ *      reaches the cache's maximum age. default: objects are never considered
+ *      stale
+ * staleRefreshBackoffMs: (optional) how long to wait after a background
+ *      refresh of a stale object fails before trying to refresh it again.
+ *      default 10000
  * maxTranslationCacheSize: (optional) maximum number of tranlations to store
  *      in the client-side translation cache. default 50
  * maxTranslationAgeMs: (optional) maximum age of translations in the
  *      client-side translation cache. default 300000 (5 minutes)
+ * maxAccessKeyCacheSize: (optional) maximum number of access key lookups to
+ *      store in the client-side access key cache. default 50
+ * maxAccessKeyCacheAgeMs: (optional) maximum age of access key lookups in the
+ *      client-side access key cache. default 300000 (5 minutes)
+ * localSigV4: (optional) if true, verifySigV4() checks signatures itself using
+ *      signing keys fetched from mahi, rather than sending every request to
+ *      mahi to be verified. default false
+ * maxSigV4SkewMs: (optional) maximum difference between the time a SigV4
+ *      request was signed and the current time, when verifying locally.
+ *      default 900000 (15 minutes)
+ * maxSigningKeyCacheSize: (optional) maximum number of SigV4 signing keys to
+ *      store in the client-side signing key cache. default 50
+ * maxSigningKeyCacheAgeMs: (optional) maximum age of SigV4 signing keys in the
+ *      client-side signing key cache. default 3600000 (1 hour)
+ * maxNegativeCacheSize: (optional) maximum number of "not found" errors to
+ *      store in the client-side negative cache. default 50
+ * maxNegativeCacheAgeMs: (optional) maximum age of errors in the client-side
+ *      negative cache. Account, user and access key lookups that fail with a
+ *      404 are only cached if this is set. default: not cached
+ * maxDecisionCacheSize: (optional) maximum number of authorize() decisions to
+ *      store in the client-side decision cache. default 1000
+ * maxDecisionCacheAgeMs: (optional) maximum age of decisions in the
+ *      client-side decision cache. Decisions are only cached if this is set,
+ *      and it should be short (a second or so), as a cached decision is
+ *      reused for as long as the caller keeps passing in the same principal
+ *      and resource owner objects. default: not cached
+ * lookupTable: (optional) if true, the client keeps a copy of mahi's lookup
+ *      table (see lookup.js), and uses it to translate account uuids and
+ *      logins in getName() and getUuid(), and to answer getAccountStatus(),
+ *      without asking mahi. Accounts missing from the table are still looked
+ *      up in mahi. default false
+ * lookupRefreshMs: (optional) time between refreshes of the lookup table.
+ *      default 60000
+ * maxLookupAgeMs: (optional) age after which the lookup table is no longer
+ *      used if it can't be refreshed. default 600000 (10 minutes)
+ * metrics: (optional) metrics collector, with increment(name, labels) and
+ *      observe(name, value, labels) methods. See metrics.js for the metrics
+ *      reported
+ *
+ * The client is an EventEmitter, and emits:
+ * "cache" with {cache, result}, where result is "hit", "miss" or "eviction"
+ * "request" with {endpoint, method, path, route, statusCode, err, latency}
+ *      after each request (and each retry) to mahi
+ * "authorize" with {action, allowed, restCode} after each call to authorize()
  */
 function MahiClient(opts) {
     assert.object(opts, 'opts');
-    assert.string(opts.url, 'url');
+    assert.optionalString(opts.url, 'url');
+    assert.optionalArrayOfString(opts.urls, 'urls');
+    assert.ok(!opts.url !== !opts.urls,
+        'exactly one of url and urls is required');
     assert.optionalObject(opts.agent, 'agent');
+    assert.optionalNumber(opts.endpointBackoffMs, 'endpointBackoffMs');
+    assert.optionalNumber(opts.maxEndpointBackoffMs, 'maxEndpointBackoffMs');
+    assert.optionalNumber(opts.connectTimeout, 'connectTimeout');
+    assert.optionalNumber(opts.requestTimeout, 'requestTimeout');
+    assert.optionalNumber(opts.retries, 'retries');
+    assert.optionalNumber(opts.retryDelayMs, 'retryDelayMs');
+    assert.optionalNumber(opts.maxRetryDelayMs, 'maxRetryDelayMs');
+    assert.optionalNumber(opts.circuitBreakerThreshold,
+        'circuitBreakerThreshold');
+    assert.optionalNumber(opts.circuitBreakerResetMs, 'circuitBreakerResetMs');
     assert.optionalObject(opts.typeTable, 'typeTable');
     assert.optionalNumber(opts.maxAuthCacheSize, 'maxAuthCacheSize');
     assert.optionalNumber(opts.maxAuthCacheAgeMs, 'maxAuthCacheAgeMs');
+    assert.optionalNumber(opts.staleAuthCacheAgeMs, 'staleAuthCacheAgeMs');
+    assert.optionalNumber(opts.staleRefreshBackoffMs, 'staleRefreshBackoffMs');
     assert.optionalNumber(opts.maxTranslationCacheSize,
         'maxTranslationCacheSize');
     assert.optionalNumber(opts.maxTranslationCacheAgeMs,
         'maxTranslationCacheAgeMs');
+    assert.optionalNumber(opts.maxAccessKeyCacheSize, 'maxAccessKeyCacheSize');
+    assert.optionalNumber(opts.maxAccessKeyCacheAgeMs,
+        'maxAccessKeyCacheAgeMs');
+    assert.optionalBool(opts.localSigV4, 'localSigV4');
+    assert.optionalNumber(opts.maxSigV4SkewMs, 'maxSigV4SkewMs');
+    assert.optionalNumber(opts.maxSigningKeyCacheSize,
+        'maxSigningKeyCacheSize');
+    assert.optionalNumber(opts.maxSigningKeyCacheAgeMs,
+        'maxSigningKeyCacheAgeMs');
+    assert.optionalNumber(opts.maxNegativeCacheSize, 'maxNegativeCacheSize');
+    assert.optionalNumber(opts.maxNegativeCacheAgeMs, 'maxNegativeCacheAgeMs');
+    assert.optionalNumber(opts.maxDecisionCacheSize, 'maxDecisionCacheSize');
+    assert.optionalNumber(opts.maxDecisionCacheAgeMs, 'maxDecisionCacheAgeMs');
+    assert.optionalBool(opts.lookupTable, 'lookupTable');
+    assert.optionalNumber(opts.lookupRefreshMs, 'lookupRefreshMs');
+    assert.optionalNumber(opts.maxLookupAgeMs, 'maxLookupAgeMs');
+    if (opts.metrics) {
+        metrics.assertCollector(opts.metrics, 'metrics');
+    }
 
     var self = this;
 
-    // cache for user and account info blobs
+    EventEmitter.call(self);
+
+    self.log = opts.log;
+    self.metrics = opts.metrics;
+
+    function evicted(cache) {
+        return (function () {
+            if (!self._closed) {
+                self._recordCache(cache, 'eviction');
+            }
+        });
+    }
+
+    /*
+     * cache for user and account info blobs, stored as {value, time}, plus
+     * refreshFailedAt once a background refresh of a stale entry has failed
+     */
+    self.staleAuthCacheAgeMs = opts.staleAuthCacheAgeMs;
+    self.staleRefreshBackoffMs = opts.staleRefreshBackoffMs || 10000;
     self.authCache = new LRU({
+        dispose: evicted('auth'),
+        noDisposeOnSet: true,
         max: opts.maxAuthCacheSize || 50,
         maxAge: opts.maxAuthCacheAgeMs || 1000 * 60 * 5
     });
 
     // cache for uuid->name and name->uuid translations
     self.translationCache = new LRU({
+        dispose: evicted('translation'),
+        noDisposeOnSet: true,
         max: opts.maxTranslationCacheSize || 50,
         maxAge: opts.maxTranslationCacheAgeMs || 1000 * 60 * 5
     });
 
-    var clientOpts = {
-        url: opts.url,
-        agent: opts.agent
-    };
+    // cache for access key lookups, stored as {value, time}
+    self.accessKeyCache = new LRU({
+        dispose: evicted('accessKey'),
+        noDisposeOnSet: true,
+        max: opts.maxAccessKeyCacheSize || 50,
+        maxAge: opts.maxAccessKeyCacheAgeMs || 1000 * 60 * 5
+    });
+
+    /*
+     * cache for SigV4 signing keys, stored as {value, time}. Signing keys are
+     * only valid for a single day, region and service, and are only ever
+     * kept in memory.
+     */
+    self.localSigV4 = opts.localSigV4 || false;
+    self.maxSigV4SkewMs = opts.maxSigV4SkewMs;
+    self.signingKeyCache = new LRU({
+        dispose: evicted('signingKey'),
+        noDisposeOnSet: true,
+        max: opts.maxSigningKeyCacheSize || 50,
+        maxAge: opts.maxSigningKeyCacheAgeMs || 1000 * 60 * 60
+    });
+
+    // cache for 404 errors from account, user and access key lookups
+    if (opts.maxNegativeCacheAgeMs) {
+        self.negativeCache = new LRU({
+            dispose: evicted('negative'),
+            noDisposeOnSet: true,
+            max: opts.maxNegativeCacheSize || 50,
+            maxAge: opts.maxNegativeCacheAgeMs
+        });
+    }
+
+    /*
+     * cache for authorize() decisions, stored as
+     * {principal, owner, typeTable, result}. See _getDecision().
+     */
+    if (opts.maxDecisionCacheAgeMs) {
+        self.decisionCache = new LRU({
+            dispose: evicted('decision'),
+            noDisposeOnSet: true,
+            max: opts.maxDecisionCacheSize || 1000,
+            maxAge: opts.maxDecisionCacheAgeMs
+        });
+    }
 
-    if (opts.log) {
-        clientOpts.log = opts.log;
+    /*
+     * each role's rules with explicit resources, keyed by the role's rules
+     * array, so that they are worked out once per principal object fetched
+     * from mahi
+     */
+    self._compiledRoles = new WeakMap();
+
+    // evaluators for type tables passed to authorize(), keyed by type table
+    self._evaluators = new WeakMap();
+
+    self.http = new EndpointPool({
+        urls: opts.urls || [opts.url],
+        agent: opts.agent,
+        log: opts.log,
+        backoffMs: opts.endpointBackoffMs,
+        maxBackoffMs: opts.maxEndpointBackoffMs,
+        connectTimeout: opts.connectTimeout,
+        requestTimeout: opts.requestTimeout,
+        retries: opts.retries,
+        retryDelayMs: opts.retryDelayMs,
+        maxRetryDelayMs: opts.maxRetryDelayMs,
+        breakerThreshold: opts.circuitBreakerThreshold,
+        breakerResetMs: opts.circuitBreakerResetMs
+    });
+    self.http.on('request', function (info) {
+        self._recordRequest(info);
+    });
+
+    // callbacks waiting on outstanding requests, keyed by _inflightKey()
+    self._inflight = {};
+
+    /*
+     * bumped by every invalidation, so that responses to requests made before
+     * an invalidation aren't cached or shared after it
+     */
+    self._generation = 0;
+
+    if (opts.lookupTable) {
+        self.lookupTable = new LookupTable({
+            client: self,
+            refreshMs: opts.lookupRefreshMs,
+            maxAgeMs: opts.maxLookupAgeMs
+        });
+        self.lookupTable.start();
     }
-    self.http = restify.createJsonClient(clientOpts);
+    self.typeTable = opts.typeTable;
     if (opts.typeTable) {
         self.evaluator = aperture.createEvaluator({
             types: aperture.types,
@@ -85,38 +483,298 @@ function MahiClient(opts) {
         });
     }
 }
+util.inherits(MahiClient, EventEmitter);
 
 
 MahiClient.prototype.close = function close() {
     var self = this;
+    self._closed = true;
+    if (self.changeFeed) {
+        self.changeFeed.stop();
+    }
+    if (self.lookupTable) {
+        self.lookupTable.stop();
+    }
     self.http.close();
     self.authCache.reset();
     self.translationCache.reset();
+    self.accessKeyCache.reset();
+    self.signingKeyCache.reset();
+    if (self.negativeCache) {
+        self.negativeCache.reset();
+    }
+    if (self.decisionCache) {
+        self.decisionCache.reset();
+    }
+};
+
+
+/*
+ * Requests for the same key that are outstanding at the same time share a
+ * single request to mahi. _inflightKey returns the key to wait on for a
+ * request: it includes the cache generation, so that callers arriving after an
+ * invalidation don't join a request made before it. _joinInflight registers
+ * `cb` to be called when the request for `key` completes, and returns true if
+ * such a request was already outstanding (in which case the caller should not
+ * issue another one). _settleInflight hands the result of the request to every
+ * caller waiting on `key`.
+ */
+MahiClient.prototype._inflightKey = function _inflightKey(path) {
+    var self = this;
+    return (sprintf('%d %s', self._generation, path));
+};
+
+
+MahiClient.prototype._joinInflight = function _joinInflight(key, cb) {
+    var self = this;
+    var waiting = self._inflight[key];
+    if (waiting) {
+        waiting.push(cb);
+        return (true);
+    }
+    self._inflight[key] = [cb];
+    return (false);
+};
+
+
+MahiClient.prototype._settleInflight = function _settleInflight(key, err, obj) {
+    var self = this;
+    var waiting = self._inflight[key] || [];
+    delete self._inflight[key];
+    waiting.forEach(function (cb) {
+        cb(err, obj);
+    });
+};
+
+
+/*
+ * Instrumentation helpers. Each reports to the metrics collector, if there is
+ * one, and emits the corresponding event.
+ */
+MahiClient.prototype._recordCache = function _recordCache(cache, result) {
+    var self = this;
+    if (self.metrics) {
+        self.metrics.increment(CACHE_METRICS[result], {
+            cache: cache
+        });
+    }
+    self.emit('cache', {
+        cache: cache,
+        result: result
+    });
+};
+
+
+MahiClient.prototype._recordRequest = function _recordRequest(info) {
+    var self = this;
+    info.route = metrics.routeOf(info.path);
+    if (self.metrics) {
+        self.metrics.observe(metrics.NAMES.REQUEST_DURATION, info.latency, {
+            endpoint: info.endpoint,
+            method: info.method.toUpperCase(),
+            path: info.route,
+            status: info.statusCode ? String(info.statusCode) : 'error'
+        });
+    }
+    self.emit('request', info);
+};
+
+
+MahiClient.prototype._recordAuthorize = function _recordAuthorize(action, err) {
+    var self = this;
+    var restCode = err ? err.restCode : '';
+    if (self.metrics) {
+        self.metrics.increment(metrics.NAMES.AUTHORIZE, {
+            decision: err ? 'deny' : 'allow',
+            restCode: restCode
+        });
+    }
+    self.emit('authorize', {
+        action: action,
+        allowed: !err,
+        restCode: restCode || undefined
+    });
 };
 
 
-MahiClient.prototype._get = function _get(path, cb) {
+/*
+ * Fetches an account or user blob or an access key lookup, from the client-side
+ * cache if possible. `opts` (optional) holds per-call request options (see
+ * requestOptions()); callers that join a request already in flight share its
+ * options.
+ * The callback is called as cb(err, obj, meta), where meta describes where
+ * the object came from:
+ * {
+ *      cached: true/false,
+ *      stale: true/false,
+ *      age: <age of the object in ms>
+ * }
+ */
+MahiClient.prototype._get = function _get(path, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
     var self = this;
-    var cached = self.authCache.get(path);
+    var notFound = self._getNotFound(path);
+    if (notFound) {
+        setImmediate(function () {
+            cb(notFound);
+        });
+        return;
+    }
+
+    var cached = self._cacheFor(path).get(path);
+    self._recordCache(self._cacheName(path), cached ? 'hit' : 'miss');
     if (cached) {
+        var age = Date.now() - cached.time;
+        var meta = {
+            cached: true,
+            stale: self.staleAuthCacheAgeMs !== undefined &&
+                age >= self.staleAuthCacheAgeMs,
+            age: age
+        };
+        if (meta.stale) {
+            self._refresh(path, cached);
+        }
         setImmediate(function () {
-            cb(null, cached);
+            cb(null, cached.value, meta);
             return;
         });
         return;
     }
 
-    self.http.get(path, function (err, req, res, obj) {
+    if (self._joinInflight(self._inflightKey(path), function (err, obj) {
         if (err) {
             cb(err);
             return;
         }
-        self.authCache.set(path, obj);
-        cb(null, obj);
+        cb(null, obj, {
+            cached: false,
+            stale: false,
+            age: 0
+        });
+    })) {
+        return;
+    }
+
+    self._fetch(path, opts);
+};
+
+
+/*
+ * Access key lookups and signing keys are kept apart from account and user
+ * blobs so that they can be sized and aged separately. _cacheName returns the
+ * name of the cache for `path` ("auth", "accessKey" or "signingKey"), and
+ * _cacheFor the cache itself.
+ */
+MahiClient.prototype._cacheName = function _cacheName(path) {
+    if (path.indexOf('/aws-auth/') === 0) {
+        return ('accessKey');
+    }
+    if (path.indexOf('/aws-signing-key/') === 0) {
+        return ('signingKey');
+    }
+    return ('auth');
+};
+
+
+MahiClient.prototype._cacheFor = function _cacheFor(path) {
+    var self = this;
+    return (self[self._cacheName(path) + 'Cache']);
+};
+
+
+/*
+ * Refreshes `entry`, the stale cache entry for `path`, in the background. The
+ * stale entry is left in place, so if the refresh fails it will continue to be
+ * served until it expires. A failed refresh is recorded on the entry itself
+ * (and so goes when the entry does), and the entry isn't refreshed again for
+ * staleRefreshBackoffMs, so that a mahi outage doesn't turn every stale hit
+ * into another request. A successful refresh replaces the entry.
+ */
+MahiClient.prototype._refresh = function _refresh(path, entry) {
+    var self = this;
+
+    if (entry.refreshFailedAt !== undefined &&
+        Date.now() - entry.refreshFailedAt < self.staleRefreshBackoffMs) {
+        return;
+    }
+
+    if (self._joinInflight(self._inflightKey(path), function (err) {
+        if (!err) {
+            return;
+        }
+        entry.refreshFailedAt = Date.now();
+        if (self.log) {
+            self.log.warn({
+                err: err,
+                path: path
+            }, 'failed to refresh stale auth cache entry');
+        }
+    })) {
+        return;
+    }
+
+    self._fetch(path);
+};
+
+
+/*
+ * Fetches `path` from mahi, caching it on success, and settles every caller
+ * waiting on it. Callers must have joined the inflight request for `path`.
+ */
+MahiClient.prototype._fetch = function _fetch(path, opts) {
+    var self = this;
+    var generation = self._generation;
+    var key = self._inflightKey(path);
+
+    self.http.get(requestOptions(path, opts), function (err, req, res, obj) {
+        if (generation !== self._generation) {
+            /* invalidated while in flight: hand it back, but don't cache it */
+            self._settleInflight(key, err, obj);
+            return;
+        }
+        if (err) {
+            self._setNotFound(path, err);
+        } else {
+            self._cacheFor(path).set(path, {
+                value: obj,
+                time: Date.now()
+            });
+        }
+        self._settleInflight(key, err, obj);
     });
 };
 
 
+/*
+ * Negative cache helpers. _getNotFound returns a copy of the cached 404 error
+ * for `path`, if any. _setNotFound caches a copy of `err` for `path` if it is
+ * a 404 and the negative cache is enabled. Every hit gets its own copy, with
+ * the original restCode and message, so that one caller decorating its error
+ * doesn't change what later callers see.
+ */
+MahiClient.prototype._getNotFound = function _getNotFound(path) {
+    var self = this;
+    if (!self.negativeCache) {
+        return (undefined);
+    }
+    var err = self.negativeCache.get(path);
+    self._recordCache('negative', err ? 'hit' : 'miss');
+    return (err ? copyError(err) : undefined);
+};
+
+
+MahiClient.prototype._setNotFound = function _setNotFound(path, err) {
+    var self = this;
+    if (self.negativeCache && err.statusCode === 404) {
+        self.negativeCache.set(path, copyError(err));
+    }
+};
+
+
 /**
  * Verifies that the signature is valid
  *
@@ -178,14 +836,23 @@ MahiClient.prototype.verifySignature = function verifySignature(opts, cb) {
  *
  *
  * account: account login
- * cb: callback in the form fn(err, obj)
+ * opts: (optional) per-call request options: connectTimeout, requestTimeout
+ *      and retries, overriding the client's (see the MahiClient constructor)
+ * cb: callback in the form fn(err, obj, meta). meta is an object like
+ *      {cached: true/false, stale: true/false, age: <ms>}, where `stale` is
+ *      set if obj came from the cache and is older than staleAuthCacheAgeMs
  *
  * errors:
  * AccountDoesNotExistError
  * RedisError
  */
-MahiClient.prototype.getAccount = function getAccount(account, cb) {
+MahiClient.prototype.getAccount = function getAccount(account, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
     assert.string(account, 'account');
+    assert.object(opts, 'opts');
     assert.func(cb, 'callback');
 
     var self = this;
@@ -193,7 +860,7 @@ MahiClient.prototype.getAccount = function getAccount(account, cb) {
         login: account
     };
     var path = '/accounts?' + qs.stringify(data);
-    self._get(path, function gotAccount(err, info) {
+    self._get(path, opts, function gotAccount(err, info, meta) {
         if (err) {
             cb(err);
             return;
@@ -204,7 +871,7 @@ MahiClient.prototype.getAccount = function getAccount(account, cb) {
         self.translationCache.set('/account/' + info.account.login,
                 info.account.uuid);
 
-        cb(null, info);
+        cb(null, info, meta);
     });
 };
 
@@ -214,20 +881,28 @@ MahiClient.prototype.getAccount = function getAccount(account, cb) {
  *
  * arguments:
  * uuid: account uuid
- * cb: callback in the form fn(err, obj)
+ * opts: (optional) per-call request options, as for getAccount()
+ * cb: callback in the form fn(err, obj, meta)
  *
  * errors:
  * AccountIdDoesNotExistError
  * RedisError
  */
-MahiClient.prototype.getAccountById = function getAccountById(uuid, cb) {
+MahiClient.prototype.getAccountById = function getAccountById(uuid, opts,
+    cb) {
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
     assert.uuid(uuid, 'uuid');
+    assert.object(opts, 'opts');
     assert.func(cb, 'callback');
 
     var self = this;
     var fmt = '/accounts/%s';
     var path = sprintf(fmt, uuid);
-    self._get(path, function gotAccount(err, info) {
+    self._get(path, opts, function gotAccount(err, info, meta) {
         if (err) {
             cb(err);
             return;
@@ -238,7 +913,7 @@ MahiClient.prototype.getAccountById = function getAccountById(uuid, cb) {
         self.translationCache.set('/account/' + info.account.login,
                 info.account.uuid);
 
-        cb(null, info);
+        cb(null, info, meta);
     });
 };
 
@@ -290,7 +965,12 @@ MahiClient.prototype.getAccountById = function getAccountById(uuid, cb) {
  * user: user login
  * account: account login
  * fallback: (optional) whether to return the account even if user doesn't exist
- * cb: callback in the form fn(err, obj)
+ * cb: callback in the form fn(err, obj, meta)
+ *
+ * or, equivalently:
+ * opts: {user: <user login>, account: <account login>, fallback: <bool>},
+ *      plus any per-call request options, as for getAccount()
+ * cb: callback in the form fn(err, obj, meta)
  *
  * errors:
  * UserDoesNotExistError unless fallback is true
@@ -298,7 +978,14 @@ MahiClient.prototype.getAccountById = function getAccountById(uuid, cb) {
  * RedisError
  */
 MahiClient.prototype.getUser = function getUser(user, account, fallback, cb) {
-    if (typeof (fallback) === 'function') {
+    var opts;
+    if (typeof (user) === 'object' && user !== null) {
+        opts = user;
+        cb = account;
+        user = opts.user;
+        account = opts.account;
+        fallback = opts.fallback || false;
+    } else if (typeof (fallback) === 'function') {
         cb = fallback;
         fallback = false;
     }
@@ -315,7 +1002,7 @@ MahiClient.prototype.getUser = function getUser(user, account, fallback, cb) {
         fallback: fallback
     };
     var path = '/users?' + qs.stringify(data);
-    self._get(path, function gotUser(err, info) {
+    self._get(path, opts, function gotUser(err, info, meta) {
         if (err) {
             cb(err);
             return;
@@ -333,7 +1020,7 @@ MahiClient.prototype.getUser = function getUser(user, account, fallback, cb) {
                     info.user.uuid);
         }
 
-        cb(null, info);
+        cb(null, info, meta);
     });
 };
 
@@ -342,20 +1029,26 @@ MahiClient.prototype.getUser = function getUser(user, account, fallback, cb) {
  *
  * arguments:
  * uuid: user uuid
- * cb: callback in the form fn(err, obj)
+ * opts: (optional) per-call request options, as for getAccount()
+ * cb: callback in the form fn(err, obj, meta)
  *
  * errors:
  * UserIdDoesNotExistError unless fallback is true
  * RedisError
  */
-MahiClient.prototype.getUserById = function getUserById(uuid, cb) {
+MahiClient.prototype.getUserById = function getUserById(uuid, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
     assert.uuid(uuid, 'uuid');
+    assert.object(opts, 'opts');
     assert.func(cb, 'callback');
 
     var self = this;
     var fmt = '/users/%s';
     var path = sprintf(fmt, uuid);
-    self._get(path, function gotUser(err, info) {
+    self._get(path, opts, function gotUser(err, info, meta) {
         if (err) {
             cb(err);
             return;
@@ -369,519 +1062,2409 @@ MahiClient.prototype.getUserById = function getUserById(uuid, cb) {
         self.translationCache.set('/uuid/' + info.user.uuid, info.user.login);
         self.translationCache.set('/user/' + info.user.login, info.user.uuid);
 
-        cb(null, info);
+        cb(null, info, meta);
     });
 };
 
 
 /**
- * typeTable: type lookup table used for rule evaluation. Required if type table
- *      was not passed in when the client was created.
- * principal: the request caller in the format
- *      {account: {...}, roles: {...}} or
- *      {account: {...}, user: {...}, roles: {...}}
- *      from getAccount, getAccountById, getUser, getUserById or fetchAuthInfo
- * action: auth action
- * resource.roles: array of role tag UUIDS
- * resource.owner: the resource owner in the format
- *      {account: {...}, roles: {...}} or
- *      {account: {...}, user: {...}, roles: {...}}
- *      from getAccount, getAccountById, getUser, getUserById or fetchAuthInfo
- * conditions: all additional context collected as part of the request,
- *      including activeRoles
+ * Fetches many accounts or users by uuid, for callers that need a batch of
+ * them at once. Cached principals are served from the cache, and the rest are
+ * fetched from mahi with at most `concurrency` requests at a time (sharing any
+ * requests already in flight for the same uuids), and cached.
  *
- * throws AccountBlockedError if the principal or resource owner is not
- *     approved for provisioning
- * throws CrossAccountError if the principal is an account owner and is
- *     making a request to a non-public resource in a different account
- * throws NoMatchingRoleTagError if no active roles match resource role tags
- * throws InvalidRoleError if activeRoles contains a role that the principal
- *      cannot assume
- * throws RulesEvaluationFailedError if no rules pass Aperture evaluation or
- *      if there are no rules to evaluate
+ * uuids: array of account (or user) uuids. Duplicates are fetched once
+ * opts: (optional) options:
+ *      concurrency: maximum number of requests to mahi at once. default 10
+ *      and any per-call request options, as for getAccount()
+ * cb: callback in the form fn(err, result)
  *
- * returns true if authorization is successful
+ * result is an object like
+ * {
+ *      results: {
+ *          <uuid>: <object, as from getAccountById() (or getUserById())>, ...
+ *      },
+ *      errors: {
+ *          <uuid>: <error>, ...
+ *      }
+ * }
+ *
+ * with every uuid in exactly one of the two. A uuid that can't be fetched
+ * doesn't fail the others, so err is always null.
  */
-MahiClient.prototype.authorize = function authorize(opts) {
-    assert.object(opts, 'opts');
-    assert.object(opts.principal, 'opts.principal');
-    assert.object(opts.principal.roles, 'opts.principal.roles');
-    assert.object(opts.principal.account, 'opts.principal.account');
-    assert.optionalObject(opts.principal.user, 'opts.principal.user');
-
-    assert.string(opts.action, 'opts.action');
-
-    assert.object(opts.resource, 'opts.resource');
-    assert.arrayOfString(opts.resource.roles, 'opts.resource.roles');
-    assert.object(opts.resource.owner, 'opts.resource.owner');
-    assert.string(opts.resource.owner.account.uuid,
-            'opts.resource.owner.account.uuid');
+MahiClient.prototype.getAccountsById = function getAccountsById(uuids, opts,
+    cb) {
 
-    assert.object(opts.conditions, 'opts.conditions');
+    var self = this;
+    self._getManyById('getAccountById', uuids, opts, cb);
+};
 
-    assert.arrayOfString(opts.conditions.activeRoles,
-            'opts.conditions.activeRoles');
-    assert.optionalArrayOfString(opts.conditions.activeXAcctRoles,
-            'opts.conditions.activeXAcctRoles');
 
+/**
+ * As getAccountsById(), for users.
+ */
+MahiClient.prototype.getUsersById = function getUsersById(uuids, opts, cb) {
     var self = this;
-    if (!self.evaluator) {
-        assert.object(opts.typeTable, 'opts.typeTable');
-    }
-    var evaluator = opts.typeTable ? aperture.createEvaluator({
-        types: aperture.types,
-        typeTable: opts.typeTable
-    }) : self.evaluator;
+    self._getManyById('getUserById', uuids, opts, cb);
+};
 
-    var principal = opts.principal;
-    var resource = opts.resource;
 
-    var resourceTags = resource.roles;
-    var owner = resource.owner;
+MahiClient.prototype._getManyById = function _getManyById(method, uuids, opts,
+    cb) {
 
-    /*
-     * Systems that are xacct role aware may end up sharing their produced
-     * authContext with a non-xacct-role-aware system which has an old version
-     * of this code. If this happens and we dumped xacct roles into activeRoles,
-     * it could lead to improper authorization of requests due to activating
-     * roles belonging to a different account to the resource owner.
-     *
-     * As a workaround, we make sure to always place xacct roles into
-     * the "activeXAcctRoles" property instead, which only newer versions of
-     * this code will look at.
-     */
-    var activeRoles = opts.conditions.activeRoles.concat(
-        opts.conditions.activeXAcctRoles || []);
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.arrayOfString(uuids, 'uuids');
+    uuids.forEach(function (uuid) {
+        assert.uuid(uuid, 'uuid');
+    });
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+    assert.func(cb, 'callback');
 
-    /* The final context we will give to aperture. */
-    var context = {
-        action: opts.action,
-        conditions: opts.conditions,
-        resource: resource.path || resource.key || ''
+    var self = this;
+    var result = {
+        results: {},
+        errors: {}
+    };
+    var unique = uuids.filter(function (uuid, i) {
+        return (uuids.indexOf(uuid) === i);
+    });
+    var requestOpts = {
+        connectTimeout: opts.connectTimeout,
+        requestTimeout: opts.requestTimeout,
+        retries: opts.retries
     };
-    /*
-     * The set of rules we will select from all the relevant policy and
-     * pass to aperture for evaluation.
-     */
-    var rulesToEvaluate = [];
-    /*
-     * List of roles that we selected rules from. We track this in order
-     * to return the correct error code (no roles were used vs. roles were
-     * used but they had no rules on them).
-     */
-    var matchingRoles = [];
 
-    var i;
+    forEachParallel(unique, opts.concurrency || 10, function (uuid, next) {
+        self[method](uuid, requestOpts, function (err, info) {
+            if (err) {
+                result.errors[uuid] = err;
+            } else {
+                result.results[uuid] = info;
+            }
+            next();
+        });
+    }, function () {
+        cb(null, result);
+    });
+};
 
-    /*
-     * If the caller is the account owner, allow access to all of the account's
-     * stuff. If the caller is an operator, allow access. Only do these checks
-     * if the caller is acting as an account owner (not a user).
-     */
-    if (!principal.user) {
-        if (owner.account.uuid === principal.account.uuid ||
-            principal.account.isOperator) {
 
-            return (true);
+/**
+ * Authenticates a request: resolves the caller, verifies the request
+ * signature against the caller's keys, and activates the requested roles.
+ * The result can be passed straight into authorize() along with an action and
+ * resource.
+ *
+ * Exactly one of:
+ * signature: signature object (e.g. req.authorization.signature from restify's
+ *      authorizationParser). Its keyId names the caller, and takes the form
+ *      /<account>/keys/<fingerprint>,
+ *      /<account>/<user>/keys/<fingerprint> or
+ *      /<account>/users/<user>/keys/<fingerprint>
+ * request: HTTP request object signed with AWS SigV4, as for verifySigV4()
+ *
+ * and optionally:
+ * roles: array of names of roles to activate. If not given, a user's default
+ *      roles (user.defaultRoles) are activated
+ * fallback: if the keyId names a user that doesn't exist, authenticate the
+ *      request as the account instead (see getUser())
+ * cb: callback in the form fn(err, authContext)
+ *
+ * authContext looks like:
+ * {
+ *      principal: <caller, as returned by getUser() or getAccount()>,
+ *      account: <principal.account>,
+ *      user: <principal.user, if the caller is a sub-user>,
+ *      keyId: <key fingerprint, for HTTP signatures>,
+ *      accessKeyId: <access key ID, for SigV4>,
+ *      conditions: {
+ *          activeRoles: [ <roleUUIDs> ]
+ *      }
+ * }
+ *
+ * errors:
+ * InvalidKeyIdError
+ * KeyDoesNotExistError
+ * InvalidSignatureError
+ * InvalidRoleError if a requested role doesn't exist or the caller can't
+ *      assume it
+ * any error from getUser(), getAccount(), getUserById(), getAccountById() or
+ *      verifySigV4()
+ */
+MahiClient.prototype.authenticate = function authenticate(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.signature, 'opts.signature');
+    assert.optionalObject(opts.request, 'opts.request');
+    assert.ok(!opts.signature !== !opts.request,
+        'exactly one of opts.signature and opts.request is required');
+    assert.optionalArrayOfString(opts.roles, 'opts.roles');
+    assert.optionalBool(opts.fallback, 'opts.fallback');
+    assert.func(cb, 'callback');
+
+    var self = this;
+
+    function authenticated(err, ctx) {
+        if (err) {
+            cb(err);
+            return;
         }
+        self._activateRoles(ctx, opts.roles, function (rErr, activeRoles) {
+            if (rErr) {
+                cb(rErr);
+                return;
+            }
+            ctx.conditions = {
+                activeRoles: activeRoles
+            };
+            cb(null, ctx);
+        });
     }
 
-    /*
-     * Deny if the caller or owner is not approved for provisioning (unless
-     * either caller is an operator or the owner is an operator and it's only
-     * the owner that isn't approved).
-     */
-    if (!principal.account.approved_for_provisioning &&
-        !principal.account.isOperator) {
-        throw new errors.AccountBlockedError(principal.account.login);
+    if (opts.signature) {
+        self._authenticateSignature(opts, authenticated);
+    } else {
+        self._authenticateSigV4(opts, authenticated);
     }
-    if (!resource.owner.account.approved_for_provisioning &&
-        !resource.owner.account.isOperator &&
-        !principal.account.isOperator) {
-        throw new errors.AccountBlockedError(resource.owner.account.login);
+};
+
+
+MahiClient.prototype._authenticateSignature = function _authenticateSignature(
+    opts, cb) {
+
+    var self = this;
+    var signature = opts.signature;
+    var parsed = typeof (signature.keyId) === 'string' ?
+        parseKeyId(signature.keyId) : null;
+
+    if (!parsed) {
+        setImmediate(function () {
+            cb(new errors.InvalidKeyIdError(signature.keyId));
+        });
+        return;
     }
 
-    /*
-     * Mahi mainly uses the "action" and "conditions" parts of the aperture
-     * language -- we enforce "principal" constraints by limiting the list of
-     * roles we consider here based on membership, and "resource" constraints
-     * in one of two ways: by using the resource role tags (stored with the
-     * resource itself); or by using the regular resource evaluator if the
-     * "resource" part of the rule was given explicitly.
-     */
-    for (i = 0; i < activeRoles.length; ++i) {
-        // check if the principal is allowed to assume the role
-        var role = principal.roles[activeRoles[i]];
-        if (!role) {
-            throw new errors.InvalidRoleError(activeRoles[i]);
+    function gotCaller(err, info) {
+        if (err) {
+            cb(err);
+            return;
         }
 
-        var rulesWithResources = role.rules.filter(function (rule) {
-            /*
-             * Aperture parser sets .resources to the Number 1 if '*' or 'all'
-             * was given as the target.
-             */
-            if (rule[1].resources === 1)
-                return (true);
-            if (typeof (rule[1].resources) !== 'object')
-                return (false);
-            /*
-             * Two ways for an exact match to be formatted: as an array, or as
-             * a lookup object.
-             */
-            if (Array.isArray(rule[1].resources.exact)) {
-                if (rule[1].resources.exact.length > 0)
-                    return (true);
-            } else if (typeof (rule[1].resources.exact) === 'object' &&
-                rule[1].resources.exact !== null) {
-
-                if (Object.keys(rule[1].resources.exact).length > 0)
-                    return (true);
-            }
-            /*
-             * Regexes are always an array.
-             */
-            if (Array.isArray(rule[1].resources.regex)) {
-                if (rule[1].resources.regex.length > 0)
-                    return (true);
+        self.verifySignature({
+            signature: signature,
+            keyId: parsed.fingerprint,
+            caller: info
+        }, function (vErr) {
+            if (vErr) {
+                cb(vErr);
+                return;
             }
-            return (false);
+            cb(null, {
+                principal: info,
+                account: info.account,
+                user: info.user,
+                keyId: parsed.fingerprint
+            });
         });
+    }
 
-        /*
-         * Having the "administrator" role on a given account means you can do
-         * anything to objects owned by that account.
-         */
-        if (role.name === ADMIN_ROLE_NAME) {
-            if (owner.account.uuid === role.account) {
-                return (true);
+    if (parsed.user) {
+        self.getUser(parsed.user, parsed.account, opts.fallback || false,
+            gotCaller);
+    } else {
+        self.getAccount(parsed.account, gotCaller);
+    }
+};
+
+
+MahiClient.prototype._authenticateSigV4 = function _authenticateSigV4(opts,
+    cb) {
+
+    var self = this;
+
+    self.verifySigV4(opts.request, function (err, result) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        self.getUserByAccessKey(result.accessKeyId, function (kErr, key) {
+            if (kErr) {
+                cb(kErr);
+                return;
             }
-            /*
-             * Sub-users on an operator account that have been added to that
-             * operator's "administrator" rule inherit operator access.
-             *
-             * We have to check the account is the same as the role here so that
-             * being on the admin role of a *different* account doesn't confer
-             * operator access.
-             */
-            if (principal.account.isOperator &&
-                principal.account.uuid === role.account) {
-                return (true);
+
+            function gotCaller(cErr, info) {
+                if (cErr) {
+                    cb(cErr);
+                    return;
+                }
+                cb(null, {
+                    principal: info,
+                    account: info.account,
+                    user: info.user,
+                    accessKeyId: result.accessKeyId
+                });
             }
-            /*
-             * Otherwise ignore this role membership -- admin roles can't have
-             * any attached policy.
-             */
-            continue;
+
+            if (key.type === 'user') {
+                self.getUserById(result.userUuid, gotCaller);
+            } else {
+                self.getAccountById(result.userUuid, gotCaller);
+            }
+        });
+    });
+};
+
+
+/*
+ * Resolves the role names requested by an authenticated caller to uuids and
+ * checks that the caller may assume each of them. With no names, activates
+ * the user's default roles.
+ */
+MahiClient.prototype._activateRoles = function _activateRoles(ctx, names, cb) {
+    var self = this;
+    var principal = ctx.principal;
+
+    if (!names) {
+        var defaults = (principal.user && principal.user.defaultRoles) || [];
+        setImmediate(function () {
+            cb(null, defaults.filter(function (uuid) {
+                return (principal.roles && principal.roles[uuid]);
+            }));
+        });
+        return;
+    }
+
+    if (!names.length) {
+        setImmediate(function () {
+            cb(null, []);
+        });
+        return;
+    }
+
+    self.getUuid({
+        account: principal.account.login,
+        type: 'role',
+        names: names
+    }, function (err, lookup) {
+        if (err) {
+            cb(err);
+            return;
         }
 
-        /*
-         * We do this here and not before the ADMIN_ROLE_NAME check because of
-         * the isOperator inheritance of sub-users on an operator account.
-         *
-         * In all other cases, we never want to authorize an action based on
-         * a role that belongs to a different account.
-         */
-        if (owner.account.uuid !== role.account) {
-            continue;
+        var activeRoles = [];
+        for (var i = 0; i < names.length; i++) {
+            var uuid = lookup.uuids[names[i]];
+            if (!uuid || !principal.roles || !principal.roles[uuid]) {
+                cb(new errors.InvalidRoleError(names[i]));
+                return;
+            }
+            activeRoles.push(uuid);
         }
+        cb(null, activeRoles);
+    });
+};
 
-        if (resourceTags.indexOf(activeRoles[i]) >= 0) {
-            /* Ordinary non-admin roles are processed below. */
-            matchingRoles.push(activeRoles[i]);
-            role.rules.forEach(function (rule) {
-                rulesToEvaluate.push(rule[1]);
-            });
 
-        } else if (rulesWithResources.length > 0) {
-            matchingRoles.push(activeRoles[i]);
-            /*
-             * Only push the rules that have explicit resources. If we push any
-             * others, they will end up applying even though there's no role
-             * tag!
-             */
-            rulesWithResources.forEach(function (rule) {
-                rulesToEvaluate.push(rule[1]);
-            });
+/*
+ * Finds the role in principal.roles with the given uuid or name. A name may
+ * be shared by roles in different accounts, in which case the resource
+ * owner's role is preferred, then the principal's own.
+ */
+function findRole(principal, owner, ref) {
+    var roles = principal.roles || {};
+    if (roles.hasOwnProperty(ref)) {
+        return (roles[ref]);
+    }
+
+    var named = Object.keys(roles).map(function (uuid) {
+        return (roles[uuid]);
+    }).filter(function (role) {
+        return (role.name === ref);
+    });
+    var preferred = [owner.account.uuid, principal.account.uuid];
+    for (var i = 0; i < preferred.length; i++) {
+        for (var j = 0; j < named.length; j++) {
+            if (named[j].account === preferred[i]) {
+                return (named[j]);
+            }
         }
     }
+    return (named[0]);
+}
+
+
+/**
+ * Lists the roles that a principal may assume when acting on resources owned
+ * by another account (or its own): the roles of the principal's own account,
+ * and the cross-account roles of the resource owner's account that the
+ * principal is a member of. Roles of any other account are never used by
+ * authorize(), so they aren't listed.
+ *
+ * principal: the caller, as for authorize()
+ * owner: the resource owner, as for authorize()
+ *
+ * returns an array like
+ * [ {
+ *      uuid: <roleUUID>,
+ *      name: <roleName>,
+ *      account: <accountUUID>,
+ *      crossAccount: true if the role isn't in the principal's account
+ * }, ... ]
+ */
+MahiClient.prototype.listAssumableRoles = function listAssumableRoles(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.principal, 'opts.principal');
+    assert.object(opts.principal.account, 'opts.principal.account');
+    assert.optionalObject(opts.principal.roles, 'opts.principal.roles');
+    assert.object(opts.owner, 'opts.owner');
+    assert.object(opts.owner.account, 'opts.owner.account');
+
+    var principal = opts.principal;
+    var owner = opts.owner;
+    var roles = principal.roles || {};
+
+    return (Object.keys(roles).filter(function (uuid) {
+        var account = roles[uuid].account;
+        return (account === principal.account.uuid ||
+            account === owner.account.uuid);
+    }).map(function (uuid) {
+        return ({
+            uuid: uuid,
+            name: roles[uuid].name,
+            account: roles[uuid].account,
+            crossAccount: roles[uuid].account !== principal.account.uuid
+        });
+    }));
+};
+
+
+/**
+ * Builds the activeRoles and activeXAcctRoles conditions for authorize() from
+ * the roles a principal asked to assume against a resource owner. Roles in the
+ * principal's own account go in activeRoles and roles in the owner's account
+ * go in activeXAcctRoles (see authorize() for why the two are kept apart).
+ *
+ * principal: the caller, as for authorize()
+ * owner: the resource owner, as for authorize()
+ * roles: (optional) array of role uuids or names to assume. If not given, the
+ *      user's default roles that can be assumed against owner are used
+ *
+ * returns an object like
+ * {
+ *      activeRoles: [ <roleUUIDs> ],
+ *      activeXAcctRoles: [ <roleUUIDs> ]
+ * }
+ *
+ * throws InvalidRoleError if the principal isn't a member of a requested role,
+ *      or the role belongs to an account other than the principal's and the
+ *      owner's. The error's `role`, `reason` and `account` (the role's
+ *      account, if known) say which role was refused and why.
+ */
+MahiClient.prototype.assumeRoles = function assumeRoles(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.principal, 'opts.principal');
+    assert.object(opts.principal.account, 'opts.principal.account');
+    assert.optionalObject(opts.principal.roles, 'opts.principal.roles');
+    assert.object(opts.owner, 'opts.owner');
+    assert.object(opts.owner.account, 'opts.owner.account');
+    assert.optionalArrayOfString(opts.roles, 'opts.roles');
+
+    var principal = opts.principal;
+    var owner = opts.owner;
+    var result = {
+        activeRoles: [],
+        activeXAcctRoles: []
+    };
+
+    function add(uuid, role) {
+        var list = role.account === principal.account.uuid ?
+            result.activeRoles : result.activeXAcctRoles;
+        if (list.indexOf(uuid) === -1) {
+            list.push(uuid);
+        }
+    }
+
+    if (!opts.roles) {
+        var defaults = (principal.user && principal.user.defaultRoles) || [];
+        defaults.forEach(function (uuid) {
+            var role = principal.roles && principal.roles[uuid];
+            if (role && (role.account === principal.account.uuid ||
+                role.account === owner.account.uuid)) {
+
+                add(uuid, role);
+            }
+        });
+        return (result);
+    }
+
+    opts.roles.forEach(function (ref) {
+        var role = findRole(principal, owner, ref);
+        if (!role) {
+            throw new errors.InvalidRoleError(ref, 'not a member of this role');
+        }
+        if (role.account !== principal.account.uuid &&
+            role.account !== owner.account.uuid) {
+
+            throw new errors.InvalidRoleError(ref, sprintf(
+                'role belongs to account %s, not the resource owner %s',
+                role.account, owner.account.uuid), role.account);
+        }
+        add(role.uuid, role);
+    });
+
+    return (result);
+};
+
+
+/**
+ * typeTable: type lookup table used for rule evaluation. Required if type table
+ *      was not passed in when the client was created.
+ * principal: the request caller in the format
+ *      {account: {...}, roles: {...}} or
+ *      {account: {...}, user: {...}, roles: {...}}
+ *      from getAccount, getAccountById, getUser, getUserById or fetchAuthInfo
+ * action: auth action
+ * resource.roles: array of role tag UUIDS
+ * resource.owner: the resource owner in the format
+ *      {account: {...}, roles: {...}} or
+ *      {account: {...}, user: {...}, roles: {...}}
+ *      from getAccount, getAccountById, getUser, getUserById or fetchAuthInfo
+ * conditions: all additional context collected as part of the request,
+ *      including activeRoles
+ * explain: (optional) if true, errors thrown carry the decision trace (see
+ *      explain() below) as `err.trace`
+ *
+ * If the client has a decision cache (see maxDecisionCacheAgeMs), decisions
+ * are reused for calls with the same action, resource path, role tags,
+ * conditions and type table, and the very same principal and resource owner
+ * objects. Calls with explain set are always decided afresh.
+ *
+ * throws AccountBlockedError if the principal or resource owner is not
+ *     approved for provisioning
+ * throws CrossAccountError if the principal is an account owner and is
+ *     making a request to a non-public resource in a different account
+ * throws NoMatchingRoleTagError if no active roles match resource role tags
+ * throws InvalidRoleError if activeRoles contains a role that the principal
+ *      cannot assume
+ * throws RulesEvaluationFailedError if no rules pass Aperture evaluation or
+ *      if there are no rules to evaluate
+ *
+ * returns true if authorization is successful
+ */
+MahiClient.prototype.authorize = function authorize(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.explain, 'opts.explain');
+
+    var self = this;
+    var trace = opts.explain ? {} : null;
+    var result = self._decide(opts, trace);
+
+    if (result !== true) {
+        if (trace) {
+            result.trace = trace;
+        }
+        throw result;
+    }
+    return (result);
+};
+
+
+/**
+ * Runs the same decision logic as authorize() but, rather than throwing,
+ * returns a structured account of how the decision was reached.
+ *
+ * Takes the same options as authorize(). Returns an object like
+ * {
+ *      allowed: true/false,
+ *      error: <MahiError thrown by authorize(), if denied>,
+ *      trace: {
+ *          action: <action>,
+ *          resource: <resource path given to aperture>,
+ *          shortCircuit: null or one of 'accountOwner', 'operator',
+ *              'administrator', 'operatorAdministrator',
+ *          roles: [ {
+ *              uuid: <roleUUID>,
+ *              name: <roleName>,
+ *              account: <accountUUID>,
+ *              status: one of 'invalid', 'administrator', 'otherAccount',
+ *                  'roleTag', 'explicitResources', 'noApplicableRules'
+ *          }, ... ],
+ *          rules: [ {
+ *              role: <roleUUID>,
+ *              rule: <rule text>,
+ *              selectedBy: 'roleTag' or 'explicitResources',
+ *              result: <aperture result for this rule alone>
+ *          }, ... ],
+ *          result: <aperture result for all selected rules>,
+ *          decision: 'allow' or 'deny',
+ *          restCode: <restCode of the error, if denied>
+ *      }
+ * }
+ *
+ * Errors that are not authorization decisions (such as assertion failures
+ * on malformed input) are still thrown.
+ */
+MahiClient.prototype.explain = function explain(opts) {
+    assert.object(opts, 'opts');
+
+    var self = this;
+    var trace = {};
+    var result = {
+        allowed: false,
+        trace: trace
+    };
+
+    try {
+        result.allowed = self._authorize(opts, trace);
+    } catch (e) {
+        if (!(e instanceof errors.MahiError)) {
+            throw e;
+        }
+        e.trace = trace;
+        result.error = e;
+    }
+
+    return (result);
+};
+
+
+/**
+ * Authorizes one action by a principal on many resources, such as the entries
+ * of a directory listing or the objects of a multi-object delete. The
+ * principal's active roles and the evaluator are looked up once for all of
+ * the resources, and a denial doesn't stop the rest from being decided.
+ *
+ * Takes the same options as authorize(), but with `resources`, an array of
+ * resources as for authorize(), in place of `resource`.
+ *
+ * returns an array with an entry for each resource, in order:
+ * [ {
+ *      allowed: true/false,
+ *      error: <MahiError authorize() would have thrown, if denied>,
+ *      restCode: <the error's restCode, if denied>,
+ *      trace: <decision trace as for explain(), if opts.explain is true>
+ * }, ... ]
+ *
+ * Errors that are not authorization decisions (such as assertion failures
+ * on malformed input) are still thrown.
+ */
+MahiClient.prototype.authorizeMany = function authorizeMany(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.resources, 'opts.resources');
+    assert.optionalBool(opts.explain, 'opts.explain');
+
+    var self = this;
+    var prepared = self._prepareAuthorize(opts);
+
+    return (opts.resources.map(function (resource) {
+        var trace = opts.explain ? {} : null;
+        var decision = self._decide({
+            principal: opts.principal,
+            action: opts.action,
+            conditions: opts.conditions,
+            typeTable: opts.typeTable,
+            resource: resource
+        }, trace, prepared);
+        var result = {
+            allowed: decision === true
+        };
+
+        if (decision !== true) {
+            result.error = decision;
+            result.restCode = decision.restCode;
+        }
+        if (trace) {
+            result.trace = trace;
+        }
+        return (result);
+    }));
+};
+
+
+/**
+ * Reports the roles and rules of a principal that authorize() can never use:
+ * rules on the administrator role, rules that only name other accounts'
+ * resources, conditions missing from the type table, roles that can't be
+ * assumed and roles without rules. See lib/lint.js for the findings.
+ *
+ * principal: the principal from getUser, getUserById, getAccount or
+ *      getAccountById
+ * typeTable: (optional) type table to check conditions against. default: the
+ *      client's, if it has one
+ *
+ * returns an array of findings, each {code, role, name, message, ...}, with
+ *      code one of the values of LINT
+ */
+MahiClient.prototype.lintPrincipal = function lintPrincipal(opts) {
+    assert.object(opts, 'opts');
+
+    var self = this;
+    return (lint.lintPrincipal({
+        principal: opts.principal,
+        typeTable: opts.typeTable || self.typeTable
+    }));
+};
+
+
+/*
+ * Does the part of an authorization decision that depends only on the
+ * principal and conditions, so that authorizeMany() can do it once for all of
+ * its resources: validates them, picks the evaluator and looks up each active
+ * role and its rules with explicit resources. A role the principal can't
+ * assume is left null, and is only refused if the decision gets as far as the
+ * roles.
+ */
+MahiClient.prototype._prepareAuthorize = function _prepareAuthorize(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.principal, 'opts.principal');
+    assert.object(opts.principal.roles, 'opts.principal.roles');
+    assert.object(opts.principal.account, 'opts.principal.account');
+    assert.optionalObject(opts.principal.user, 'opts.principal.user');
+
+    assert.string(opts.action, 'opts.action');
+
+    assert.object(opts.conditions, 'opts.conditions');
+
+    assert.arrayOfString(opts.conditions.activeRoles,
+            'opts.conditions.activeRoles');
+    assert.optionalArrayOfString(opts.conditions.activeXAcctRoles,
+            'opts.conditions.activeXAcctRoles');
+
+    var self = this;
+    if (!self.evaluator) {
+        assert.object(opts.typeTable, 'opts.typeTable');
+    }
+    var evaluator = opts.typeTable ?
+        self._evaluatorFor(opts.typeTable) : self.evaluator;
+
+    /*
+     * Systems that are xacct role aware may end up sharing their produced
+     * authContext with a non-xacct-role-aware system which has an old version
+     * of this code. If this happens and we dumped xacct roles into activeRoles,
+     * it could lead to improper authorization of requests due to activating
+     * roles belonging to a different account to the resource owner.
+     *
+     * As a workaround, we make sure to always place xacct roles into
+     * the "activeXAcctRoles" property instead, which only newer versions of
+     * this code will look at.
+     */
+    var activeRoles = opts.conditions.activeRoles.concat(
+        opts.conditions.activeXAcctRoles || []);
+
+    return ({
+        evaluator: evaluator,
+        activeRoles: activeRoles,
+        roles: activeRoles.map(function (uuid) {
+            var role = opts.principal.roles[uuid];
+            return ({
+                role: role || null,
+                rulesWithResources: role ?
+                    self._compileRole(role).rulesWithResources : []
+            });
+        })
+    });
+};
+
+
+/*
+ * Returns the evaluator for a type table passed to authorize(), creating it
+ * the first time the table is seen.
+ */
+MahiClient.prototype._evaluatorFor = function _evaluatorFor(typeTable) {
+    var self = this;
+    var evaluator = self._evaluators.get(typeTable);
+
+    if (!evaluator) {
+        evaluator = aperture.createEvaluator({
+            types: aperture.types,
+            typeTable: typeTable
+        });
+        self._evaluators.set(typeTable, evaluator);
+    }
+    return (evaluator);
+};
+
+
+/*
+ * Returns what _authorize() needs of a role's rules, worked out once per rules
+ * array: {rulesWithResources}. A principal refetched from mahi has new rules
+ * arrays, so nothing needs invalidating when a blob is refreshed.
+ */
+MahiClient.prototype._compileRole = function _compileRole(role) {
+    var self = this;
+    var compiled = self._compiledRoles.get(role.rules);
+
+    if (!compiled) {
+        compiled = {
+            rulesWithResources: role.rules.filter(hasExplicitResources)
+        };
+        self._compiledRoles.set(role.rules, compiled);
+    }
+    return (compiled);
+};
+
+
+/*
+ * Makes a decision for authorize() or authorizeMany(), from the decision cache
+ * if possible, and reports it. Decisions are only cached when there's no
+ * trace to fill in. Returns true if allowed, or a new MahiError for the
+ * denial. Other errors are thrown.
+ */
+MahiClient.prototype._decide = function _decide(opts, trace, prepared) {
+    var self = this;
+    var key = trace ? undefined : self._decisionKey(opts);
+    var result = key === undefined ? undefined : self._getDecision(key, opts);
+
+    if (result === undefined) {
+        try {
+            result = self._authorize(opts, trace, prepared);
+        } catch (e) {
+            if (!(e instanceof errors.MahiError)) {
+                throw e;
+            }
+            result = e;
+        }
+        if (key !== undefined) {
+            self.decisionCache.set(key, {
+                principal: opts.principal,
+                owner: opts.resource.owner,
+                typeTable: opts.typeTable,
+                result: result === true ? result : copyError(result)
+            });
+        }
+    } else if (result !== true) {
+        result = copyError(result);
+    }
+
+    self._recordAuthorize(opts.action, result === true ? null : result);
+    return (result);
+};
+
+
+/*
+ * Returns the decision cache key for opts, or undefined if there is no
+ * decision cache or opts can't be cached. The principal and owner are only
+ * keyed by uuid, and the type table not at all: _getDecision() checks that
+ * they are the same objects.
+ */
+MahiClient.prototype._decisionKey = function _decisionKey(opts) {
+    var self = this;
+    if (!self.decisionCache) {
+        return (undefined);
+    }
+
+    assert.object(opts.principal, 'opts.principal');
+    assert.object(opts.principal.account, 'opts.principal.account');
+    assert.object(opts.resource, 'opts.resource');
+    assert.object(opts.resource.owner, 'opts.resource.owner');
+    assert.object(opts.resource.owner.account, 'opts.resource.owner.account');
+
+    var principal = opts.principal;
+    var resource = opts.resource;
+    try {
+        return (JSON.stringify([
+            principal.account.uuid,
+            principal.user ? principal.user.uuid : null,
+            opts.action,
+            resource.path || resource.key || '',
+            resource.roles,
+            resource.owner.account.uuid,
+            resource.owner.user ? resource.owner.user.uuid : null,
+            opts.conditions
+        ]));
+    } catch (e) {
+        /* conditions that can't be serialized, such as circular ones */
+        return (undefined);
+    }
+};
+
+
+/*
+ * Returns the cached decision for key (true or the MahiError, which must be
+ * copied before it is handed out), or undefined if there is none for opts'
+ * principal, resource owner and type table.
+ */
+MahiClient.prototype._getDecision = function _getDecision(key, opts) {
+    var self = this;
+    var entry = self.decisionCache.get(key);
+    var hit = entry !== undefined && entry.principal === opts.principal &&
+        entry.owner === opts.resource.owner &&
+        entry.typeTable === opts.typeTable;
+
+    self._recordCache('decision', hit ? 'hit' : 'miss');
+    return (hit ? entry.result : undefined);
+};
+
+
+/*
+ * Implements authorize(), explain() and authorizeMany(). If `trace` is an
+ * object, it is filled in with each step of the decision as it is made.
+ * `prepared` is the result of _prepareAuthorize() for opts, if the caller
+ * already has it.
+ */
+MahiClient.prototype._authorize = function _authorize(opts, trace, prepared) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(trace, 'trace');
+    assert.optionalObject(prepared, 'prepared');
+
+    var self = this;
+    if (!prepared) {
+        prepared = self._prepareAuthorize(opts);
+    }
+
+    assert.object(opts.resource, 'opts.resource');
+    assert.arrayOfString(opts.resource.roles, 'opts.resource.roles');
+    assert.object(opts.resource.owner, 'opts.resource.owner');
+    assert.string(opts.resource.owner.account.uuid,
+            'opts.resource.owner.account.uuid');
+
+    var evaluator = prepared.evaluator;
+    var activeRoles = prepared.activeRoles;
+
+    var principal = opts.principal;
+    var resource = opts.resource;
+
+    var resourceTags = resource.roles;
+    var owner = resource.owner;
+
+    /* The final context we will give to aperture. */
+    var context = {
+        action: opts.action,
+        conditions: opts.conditions,
+        resource: resource.path || resource.key || ''
+    };
+    /*
+     * The set of rules we will select from all the relevant policy and
+     * pass to aperture for evaluation.
+     */
+    var rulesToEvaluate = [];
+    /*
+     * List of roles that we selected rules from. We track this in order
+     * to return the correct error code (no roles were used vs. roles were
+     * used but they had no rules on them).
+     */
+    var matchingRoles = [];
+
+    var i;
+
+    if (trace) {
+        trace.action = context.action;
+        trace.resource = context.resource;
+        trace.shortCircuit = null;
+        trace.roles = [];
+        trace.rules = [];
+    }
+
+    function allow(shortCircuit) {
+        if (trace) {
+            trace.shortCircuit = shortCircuit || null;
+            trace.decision = 'allow';
+        }
+        return (true);
+    }
+
+    function deny(err) {
+        if (trace) {
+            trace.decision = 'deny';
+            trace.restCode = err.restCode;
+        }
+        return (err);
+    }
+
+    function traceRole(uuid, r, status) {
+        if (trace) {
+            trace.roles.push({
+                uuid: uuid,
+                name: r ? r.name : undefined,
+                account: r ? r.account : undefined,
+                status: status
+            });
+        }
+    }
+
+    function selectRule(roleUuid, rule, selectedBy) {
+        rulesToEvaluate.push(rule[1]);
+        if (trace) {
+            trace.rules.push({
+                role: roleUuid,
+                rule: rule[0],
+                selectedBy: selectedBy,
+                result: evaluator.evaluate([rule[1]], context)
+            });
+        }
+    }
+
+    /*
+     * If the caller is the account owner, allow access to all of the account's
+     * stuff. If the caller is an operator, allow access. Only do these checks
+     * if the caller is acting as an account owner (not a user).
+     */
+    if (!principal.user) {
+        if (owner.account.uuid === principal.account.uuid) {
+            return (allow('accountOwner'));
+        }
+        if (principal.account.isOperator) {
+            return (allow('operator'));
+        }
+    }
+
+    /*
+     * Deny if the caller or owner is not approved for provisioning (unless
+     * either caller is an operator or the owner is an operator and it's only
+     * the owner that isn't approved).
+     */
+    if (!principal.account.approved_for_provisioning &&
+        !principal.account.isOperator) {
+        throw deny(new errors.AccountBlockedError(principal.account.login));
+    }
+    if (!resource.owner.account.approved_for_provisioning &&
+        !resource.owner.account.isOperator &&
+        !principal.account.isOperator) {
+        throw deny(new errors.AccountBlockedError(
+            resource.owner.account.login));
+    }
+
+    /*
+     * Mahi mainly uses the "action" and "conditions" parts of the aperture
+     * language -- we enforce "principal" constraints by limiting the list of
+     * roles we consider here based on membership, and "resource" constraints
+     * in one of two ways: by using the resource role tags (stored with the
+     * resource itself); or by using the regular resource evaluator if the
+     * "resource" part of the rule was given explicitly.
+     */
+    for (i = 0; i < activeRoles.length; ++i) {
+        // check if the principal is allowed to assume the role
+        var role = prepared.roles[i].role;
+        if (!role) {
+            traceRole(activeRoles[i], null, 'invalid');
+            throw deny(new errors.InvalidRoleError(activeRoles[i]));
+        }
+
+        var rulesWithResources = prepared.roles[i].rulesWithResources;
+
+        /*
+         * Having the "administrator" role on a given account means you can do
+         * anything to objects owned by that account.
+         */
+        if (role.name === ADMIN_ROLE_NAME) {
+            traceRole(activeRoles[i], role, 'administrator');
+            if (owner.account.uuid === role.account) {
+                return (allow('administrator'));
+            }
+            /*
+             * Sub-users on an operator account that have been added to that
+             * operator's "administrator" rule inherit operator access.
+             *
+             * We have to check the account is the same as the role here so that
+             * being on the admin role of a *different* account doesn't confer
+             * operator access.
+             */
+            if (principal.account.isOperator &&
+                principal.account.uuid === role.account) {
+                return (allow('operatorAdministrator'));
+            }
+            /*
+             * Otherwise ignore this role membership -- admin roles can't have
+             * any attached policy.
+             */
+            continue;
+        }
+
+        /*
+         * We do this here and not before the ADMIN_ROLE_NAME check because of
+         * the isOperator inheritance of sub-users on an operator account.
+         *
+         * In all other cases, we never want to authorize an action based on
+         * a role that belongs to a different account.
+         */
+        if (owner.account.uuid !== role.account) {
+            traceRole(activeRoles[i], role, 'otherAccount');
+            continue;
+        }
+
+        if (resourceTags.indexOf(activeRoles[i]) >= 0) {
+            /* Ordinary non-admin roles are processed below. */
+            traceRole(activeRoles[i], role, 'roleTag');
+            matchingRoles.push(activeRoles[i]);
+            role.rules.forEach(function (rule) {
+                selectRule(activeRoles[i], rule, 'roleTag');
+            });
+
+        } else if (rulesWithResources.length > 0) {
+            traceRole(activeRoles[i], role, 'explicitResources');
+            matchingRoles.push(activeRoles[i]);
+            /*
+             * Only push the rules that have explicit resources. If we push any
+             * others, they will end up applying even though there's no role
+             * tag!
+             */
+            rulesWithResources.forEach(function (rule) {
+                selectRule(activeRoles[i], rule, 'explicitResources');
+            });
+        } else {
+            traceRole(activeRoles[i], role, 'noApplicableRules');
+        }
+    }
+
+    if (!matchingRoles.length) {
+        throw deny(new errors.NoMatchingRoleTagError());
+    }
+
+    if (!rulesToEvaluate.length) {
+        throw deny(new errors.RulesEvaluationFailedError());
+    }
+
+    var ok = evaluator.evaluate(rulesToEvaluate, context);
+    if (trace) {
+        trace.result = ok;
+    }
+    if (!ok) {
+        throw deny(new errors.RulesEvaluationFailedError());
+    }
+    return (allow(null));
+};
+
+
+/*
+ * uuids: array of uuids
+ * connectTimeout, requestTimeout, retries: (optional) per-call request
+ *      options, as for getAccount()
+ * returns a mapping of {uuid: name}
+ */
+MahiClient.prototype.getName = function getName(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.arrayOfString(opts.uuids, 'opts.uuids');
+
+    var self = this;
+
+    var uncached = [];
+    var translations = {};
+
+    opts.uuids.forEach(function (uuid) {
+        var path = sprintf('/uuid/%s', uuid);
+        var cached = self.translationCache.get(path);
+        self._recordCache('translation', cached ? 'hit' : 'miss');
+        if (!cached && self.lookupTable) {
+            var entry = self.lookupTable.byUuid(uuid);
+            self._recordCache('lookup', entry ? 'hit' : 'miss');
+            cached = entry && entry.login;
+        }
+        if (!cached) {
+            uncached.push(uuid);
+        } else {
+            translations[uuid] = cached;
+        }
+    });
+
+    // All uuids were found in the cache. Nothing to ask the server.
+    if (!uncached.length) {
+        setImmediate(function () {
+            cb(null, translations);
+        });
+        return;
+    }
+
+    /*
+     * Wait on each uncached uuid individually, so that uuids already being
+     * translated by another caller are not asked for again. Only the uuids
+     * nobody else is waiting on go into our request.
+     */
+    var toFetch = [];
+    var fetchKeys = [];
+    var remaining = uncached.length;
+    var error;
+    var generation = self._generation;
+
+    uncached.forEach(function (uuid) {
+        var key = self._inflightKey(sprintf('/names/%s', uuid));
+        var inflight = self._joinInflight(key, function (err, obj) {
+            if (err) {
+                error = error || err;
+            } else if (obj[uuid]) {
+                translations[uuid] = obj[uuid];
+            }
+            if (--remaining === 0) {
+                if (error) {
+                    cb(error);
+                    return;
+                }
+                cb(null, translations);
+            }
+        });
+        if (!inflight) {
+            toFetch.push(uuid);
+            fetchKeys.push(key);
+        }
+    });
+
+    if (!toFetch.length) {
+        return;
+    }
+
+    var q = qs.stringify({
+        uuid: toFetch
+    });
+    var options = requestOptions('/names?' + q, opts);
+    self.http.get(options, function (err, req, res, obj) {
+        if (!err && generation === self._generation) {
+            Object.keys(obj).forEach(function (uuid) {
+                self.translationCache.set(sprintf('/uuid/%s', uuid),
+                    obj[uuid]);
+            });
+        }
+        fetchKeys.forEach(function (key) {
+            self._settleInflight(key, err, obj);
+        });
+    });
+};
+
+
+/**
+ *
+ * account: account login
+ * type (optional): type of the names. valid values: role, user, policy
+ * names (optional): array of role/user/policy names to translate
+ * connectTimeout, requestTimeout, retries (optional): per-call request
+ *      options, as for getAccount()
+ * returns:
+ *
+ * { "account": <accountUuid> }
+ *
+ * or
+ *
+ * {
+ *      "account": <accountUuid>,
+ *      "uuids": {
+ *          <name>: <uuid>
+ *      }
+ * }
+ */
+MahiClient.prototype.getUuid = function getUuid(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.string(opts.account, 'opts.account');
+    if (opts.type || opts.names) {
+        assert.string(opts.type, 'opts.type');
+        assert.arrayOfString(opts.names, 'opts.names');
+    }
+
+    var self = this;
+    var account = opts.account;
+    var type = opts.type;
+    var names = opts.names || [];
+
+    var uncached = [];
+    var translations = {};
+
+    if (type) {
+        translations.uuids = {};
+    }
+
+    names.forEach(function (name) {
+        var path = sprintf('/%s/%s/%s', type, account, name);
+        var cached = self.translationCache.get(path);
+        self._recordCache('translation', cached ? 'hit' : 'miss');
+        if (!cached) {
+            uncached.push(name);
+        } else {
+            translations.uuids[name] = cached;
+        }
+    });
+
+    /*
+     * The account login is translated server side regardless of whether
+     * there are other things we want to translate. This saves us the round
+     * trip if we are only translating the account login (or every other name
+     * is cached) AND we have the account translation cached.
+     */
+    if (!uncached.length) {
+        var accountInfo =
+            self.translationCache.get(sprintf('/account/%s', account));
+        self._recordCache('translation', accountInfo ? 'hit' : 'miss');
+        if (!accountInfo && self.lookupTable) {
+            var entry = self.lookupTable.byLogin(account);
+            self._recordCache('lookup', entry ? 'hit' : 'miss');
+            accountInfo = entry && entry.uuid;
+        }
+        if (accountInfo) {
+            translations.account = accountInfo;
+            setImmediate(function () {
+                cb(null, translations);
+            });
+            return;
+        }
+    }
+
+    /*
+     * As in getName(), wait on each name individually so that concurrent
+     * callers share requests. If there are no names to translate, wait on
+     * the account login itself instead.
+     */
+    var keys = uncached.map(function (name) {
+        return (self._inflightKey(sprintf('/uuids/%s/%s/%s', type, account,
+            name)));
+    });
+    if (!keys.length) {
+        keys.push(self._inflightKey(sprintf('/uuids/account/%s', account)));
+    }
+
+    var toFetch = [];
+    var fetchKeys = [];
+    var remaining = keys.length;
+    var error;
+    var generation = self._generation;
+
+    keys.forEach(function (key, i) {
+        var name = uncached[i];
+        var inflight = self._joinInflight(key, function (err, obj) {
+            if (err) {
+                error = error || err;
+            } else {
+                translations.account = obj.account;
+                if (name !== undefined && obj.uuids && obj.uuids[name]) {
+                    translations.uuids[name] = obj.uuids[name];
+                }
+            }
+            if (--remaining === 0) {
+                if (error) {
+                    cb(error);
+                    return;
+                }
+                cb(null, translations);
+            }
+        });
+        if (!inflight) {
+            fetchKeys.push(key);
+            if (name !== undefined) {
+                toFetch.push(name);
+            }
+        }
+    });
+
+    if (!fetchKeys.length) {
+        return;
+    }
+
+    var data = {
+        account: account,
+        type: type
+    };
+    if (toFetch.length) {
+        data.name = toFetch;
+    }
+
+    var q = qs.stringify(data);
+    var options = requestOptions('/uuids?' + q, opts);
+    self.http.get(options, function (err, req, res, obj) {
+        if (!err && generation === self._generation) {
+            self.translationCache.set(sprintf('/account/%s', account),
+                obj.account);
+            if (obj.uuids) {
+                Object.keys(obj.uuids).forEach(function (name) {
+                    var path = sprintf('/%s/%s/%s', type, account, name);
+                    self.translationCache.set(path, obj.uuids[name]);
+                });
+            }
+        }
+        fetchKeys.forEach(function (key) {
+            self._settleInflight(key, err, obj);
+        });
+    });
+};
+
+
+MahiClient.prototype.getLookup = function getLookup(opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'opts');
+    assert.func(cb, 'callback');
+
+    var self = this;
+
+    var options = requestOptions('/lookup', opts);
+    self.http.get(options, function (err, req, res, obj) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        cb(null, obj);
+    });
+};
+
+/**
+ * Returns whether an account is approved for provisioning and whether it is
+ * an operator. If the client keeps a lookup table (see the lookupTable
+ * option), the answer comes from the table; otherwise, or if the table
+ * doesn't have the account, it comes from getAccount() or getAccountById().
+ *
+ * account: account login or uuid
+ * cb: callback in the form fn(err, status)
+ *
+ * status is an object like
+ * {
+ *      uuid: <accountUUID>,
+ *      login: <accountLogin>,
+ *      approved: true/false,
+ *      isOperator: true/false
+ * }
+ *
+ * errors:
+ * AccountDoesNotExistError
+ * AccountIdDoesNotExistError
+ * RedisError
+ */
+MahiClient.prototype.getAccountStatus = function getAccountStatus(account,
+    cb) {
+
+    assert.string(account, 'account');
+    assert.func(cb, 'callback');
+
+    var self = this;
+    var isUuid = UUID_RE.test(account);
+
+    if (self.lookupTable) {
+        var entry = isUuid ? self.lookupTable.byUuid(account) :
+            self.lookupTable.byLogin(account);
+        self._recordCache('lookup', entry ? 'hit' : 'miss');
+        if (entry) {
+            setImmediate(function () {
+                cb(null, entry);
+            });
+            return;
+        }
+    }
+
+    var get = isUuid ? self.getAccountById : self.getAccount;
+    get.call(self, account, function (err, info) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        cb(null, {
+            uuid: info.account.uuid,
+            login: info.account.login,
+            approved: info.account.approved_for_provisioning === true,
+            isOperator: info.account.isOperator === true
+        });
+    });
+};
+
+
+/**
+ * Returns the time the lookup table was last refreshed from mahi, or null if
+ * it hasn't been yet (or the client doesn't keep one).
+ */
+MahiClient.prototype.lookupRefreshedAt = function lookupRefreshedAt() {
+    var self = this;
+    return (self.lookupTable ? self.lookupTable.refreshedAt : null);
+};
+
+
+
+/**
+ * Look up user by access key ID
+ * Used for S3 gateway integration - resolves access keys to user accounts.
+ * Results are cached in the client-side access key cache, and the uuid/login
+ * translation is added to the translation cache.
+ *
+ * accessKeyId: AWS access key ID (e.g., "AKIA123456789EXAMPLE")
+ * opts: (optional) per-call request options, as for getAccount()
+ * cb: callback in the form fn(err, userInfo, meta), with meta as for
+ *      getAccount()
+ *
+ * Returns user object without access key secrets:
+ * {
+ *     type: "account",
+ *     uuid: "user-uuid",
+ *     login: "username",
+ *     accesskeys: ["AKIA123456789EXAMPLE"],
+ *     approved_for_provisioning: true
+ * }
+ *
+ * errors:
+ * AccessKeyNotFoundError
+ * InvalidResponseError
+ * RedisError
+ */
+MahiClient.prototype.getUserByAccessKey = function getUserByAccessKey(
+    accessKeyId, opts, cb) {
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.string(accessKeyId, 'accessKeyId');
+    assert.object(opts, 'opts');
+    assert.func(cb, 'callback');
+
+    var self = this;
+    var path = sprintf('/aws-auth/%s', accessKeyId);
+
+    self._get(path, opts, function gotUser(err, info, meta) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (typeof (info) !== 'object' || info === null ||
+            typeof (info.uuid) !== 'string' ||
+            typeof (info.login) !== 'string') {
+
+            self.accessKeyCache.del(path);
+            cb(new errors.InvalidResponseError(path,
+                'missing user uuid or login'));
+            return;
+        }
+
+        self.translationCache.set('/uuid/' + info.uuid, info.login);
+        if (info.type === 'user') {
+            self.translationCache.set('/user/' + info.login, info.uuid);
+        } else {
+            self.translationCache.set('/account/' + info.login, info.uuid);
+        }
+
+        cb(null, info, meta);
+    });
+};
+
+
+/**
+ * Fetches the SigV4 signing key for an access key, derived by mahi for a single
+ * day, region and service. The secret access key itself never leaves mahi.
+ *
+ * accessKeyId: AWS access key ID
+ * date: date from the credential scope (YYYYMMDD)
+ * region: region from the credential scope
+ * service: service from the credential scope
+ * connectTimeout, requestTimeout, retries: (optional) per-call request
+ *      options, as for getAccount()
+ * cb: callback in the form fn(err, result)
+ *
+ * Returns:
+ * {
+ *     accessKeyId: "AKIA123456789EXAMPLE",
+ *     userUuid: "user-uuid",
+ *     signingKey: <Buffer>
+ * }
+ *
+ * errors:
+ * AccessKeyNotFoundError
+ * InvalidResponseError
+ */
+MahiClient.prototype.getSigningKey = function getSigningKey(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.string(opts.accessKeyId, 'opts.accessKeyId');
+    assert.string(opts.date, 'opts.date');
+    assert.string(opts.region, 'opts.region');
+    assert.string(opts.service, 'opts.service');
+    assert.func(cb, 'callback');
+
+    var self = this;
+    var path = sprintf('/aws-signing-key/%s?', opts.accessKeyId) +
+        qs.stringify({
+            date: opts.date,
+            region: opts.region,
+            service: opts.service
+        });
+
+    self._get(path, opts, function gotSigningKey(err, info) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (typeof (info) !== 'object' || info === null ||
+            typeof (info.signingKey) !== 'string' ||
+            typeof (info.userUuid) !== 'string') {
+
+            self.signingKeyCache.del(path);
+            cb(new errors.InvalidResponseError(path,
+                'missing signingKey or userUuid'));
+            return;
+        }
+
+        cb(null, {
+            accessKeyId: opts.accessKeyId,
+            userUuid: info.userUuid,
+            signingKey: Buffer.from(info.signingKey, 'hex')
+        });
+    });
+};
+
+
+/**
+ * Verify AWS Signature Version 4 authentication
+ *
+ * Requests may be signed either with an Authorization header or, for presigned
+ * URLs, with X-Amz-Algorithm, X-Amz-Credential, X-Amz-Date, X-Amz-Expires,
+ * X-Amz-SignedHeaders and X-Amz-Signature query parameters.
+ *
+ * If the client was created with `localSigV4`, the signature is checked here
+ * using the signing key from getSigningKey(). Otherwise the request is sent to
+ * mahi to be verified, although presigned URLs are checked for expiry first.
+ *
+ * request: HTTP request object ({method, url, headers}) with an
+ *      AWS4-HMAC-SHA256 authorization header or presigned URL
+ * opts: (optional) per-call request options, as for getAccount()
+ * cb: callback in the form fn(err, result)
+ *
+ * Returns:
+ * {
+ *     valid: true,
+ *     accessKeyId: "AKIA123456789EXAMPLE",
+ *     userUuid: "user-uuid"
+ * }
+ *
+ * errors:
+ * InvalidSignatureError
+ * InvalidResponseError
+ * AccessKeyNotFoundError
+ * RequestTimeTooSkewedError
+ * RequestExpiredError
+ */
+MahiClient.prototype.verifySigV4 = function verifySigV4(request, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(request, 'request');
+    assert.object(opts, 'opts');
+    assert.func(cb, 'callback');
+
+    var self = this;
+
+    if (self.localSigV4) {
+        self._verifySigV4Locally(request, opts, cb);
+        return;
+    }
+
+    /*
+     * An expired presigned URL is an expired presigned URL no matter who
+     * checks the signature, so don't bother mahi with it.
+     */
+    if (sigv4.isPresigned(request)) {
+        try {
+            sigv4.parseRequest(request, self.maxSigV4SkewMs);
+        } catch (e) {
+            setImmediate(function () {
+                cb(e);
+            });
+            return;
+        }
+    }
+
+    /*
+     * Add request method and URL as query parameters since mahi needs them
+     * for verification
+     */
+    var queryParams = {
+        method: request.method,
+        url: request.url
+    };
+    var options = requestOptions('/aws-verify?' + qs.stringify(queryParams),
+        opts);
+
+    // Forward the original headers to mahi for SigV4 verification
+    options.headers = request.headers;
+
+    // Verifying a signature has no side effects, so it is safe to retry
+    options.idempotent = true;
+
+    self.http.post(options, {}, function (err, req, res, obj) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        /*
+         * Never treat anything other than an explicit, well-formed success
+         * from mahi as a verified signature.
+         */
+        if (typeof (obj) !== 'object' || obj === null) {
+            cb(new errors.InvalidResponseError('/aws-verify',
+                'expected an object'));
+            return;
+        }
+        if (obj.valid !== true) {
+            cb(new errors.InvalidSignatureError());
+            return;
+        }
+        if (typeof (obj.accessKeyId) !== 'string' ||
+            typeof (obj.userUuid) !== 'string') {
+
+            cb(new errors.InvalidResponseError('/aws-verify',
+                'missing accessKeyId or userUuid'));
+            return;
+        }
+
+        cb(null, obj);
+    });
+};
+
+
+/**
+ * Verify an S3 POST policy (browser-based upload using an HTML form). The
+ * policy signature is checked using the signing key from getSigningKey(),
+ * whether or not the client verifies other SigV4 requests locally, and the
+ * submitted form is then checked against the policy's expiration and
+ * conditions.
+ *
+ * fields: the form fields, including policy, x-amz-algorithm,
+ *      x-amz-credential, x-amz-date and x-amz-signature (but not the file)
+ * bucket: the bucket being uploaded to
+ * contentLength: (optional) size of the uploaded file in bytes
+ * cb: callback in the form fn(err, result)
+ *
+ * Returns:
+ * {
+ *     valid: true,
+ *     accessKeyId: "AKIA123456789EXAMPLE",
+ *     userUuid: "user-uuid",
+ *     policy: <decoded policy document>
+ * }
+ *
+ * errors:
+ * InvalidSignatureError
+ * AccessKeyNotFoundError
+ * RequestExpiredError if the policy has expired
+ * PostPolicyConditionFailedError if the form does not satisfy the policy. The
+ *      failing condition is available as `err.condition`
+ */
+MahiClient.prototype.verifyPostPolicy = function verifyPostPolicy(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.fields, 'opts.fields');
+    assert.string(opts.bucket, 'opts.bucket');
+    assert.optionalNumber(opts.contentLength, 'opts.contentLength');
+    assert.func(cb, 'callback');
+
+    var self = this;
+    var parsed;
+
+    try {
+        parsed = postPolicy.parseFields(opts.fields);
+    } catch (e) {
+        setImmediate(function () {
+            cb(e);
+        });
+        return;
+    }
+
+    self.getSigningKey({
+        accessKeyId: parsed.accessKeyId,
+        date: parsed.date,
+        region: parsed.region,
+        service: parsed.service
+    }, function (err, key) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (!postPolicy.verifySignature(parsed.policy, parsed.signature,
+            key.signingKey)) {
+
+            cb(new errors.InvalidSignatureError());
+            return;
+        }
+
+        var doc;
+        try {
+            doc = postPolicy.decodePolicy(parsed.policy);
+            postPolicy.checkPolicy({
+                doc: doc,
+                fields: opts.fields,
+                bucket: opts.bucket,
+                contentLength: opts.contentLength
+            });
+        } catch (e) {
+            cb(e);
+            return;
+        }
+
+        cb(null, {
+            valid: true,
+            accessKeyId: key.accessKeyId,
+            userUuid: key.userUuid,
+            policy: doc
+        });
+    });
+};
+
+
+MahiClient.prototype._verifySigV4Locally = function _verifySigV4Locally(
+    request, opts, cb) {
+
+    var self = this;
+    var parsed;
+
+    try {
+        parsed = sigv4.parseRequest(request, self.maxSigV4SkewMs);
+    } catch (e) {
+        setImmediate(function () {
+            cb(e);
+        });
+        return;
+    }
+
+    self.getSigningKey({
+        accessKeyId: parsed.accessKeyId,
+        date: parsed.date,
+        region: parsed.region,
+        service: parsed.service,
+        connectTimeout: opts.connectTimeout,
+        requestTimeout: opts.requestTimeout,
+        retries: opts.retries
+    }, function (err, key) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var ok;
+        try {
+            ok = sigv4.verify(request, parsed, key.signingKey);
+        } catch (e) {
+            cb(e);
+            return;
+        }
+
+        if (!ok) {
+            cb(new errors.InvalidSignatureError());
+            return;
+        }
+
+        cb(null, {
+            valid: true,
+            accessKeyId: key.accessKeyId,
+            userUuid: key.userUuid
+        });
+    });
+};
+
+
+/**
+ * Cache invalidation. Each of these drops every cached object that the change
+ * could have made out of date, from every cache, and returns the number of
+ * entries dropped. Requests already in flight when an invalidation happens
+ * are not cached when they complete, and callers arriving after it make new
+ * requests rather than joining them.
+ */
+
+/*
+ * Drops every entry of `cache` for which `predicate(key, value)` is true.
+ */
+MahiClient.prototype._evict = function _evict(cache, predicate) {
+    var count = 0;
+    if (!cache) {
+        return (count);
+    }
+    cache.keys().forEach(function (key) {
+        var value = cache.peek(key);
+        if (value !== undefined && predicate(key, value)) {
+            cache.del(key);
+            count++;
+        }
+    });
+    return (count);
+};
+
+
+/**
+ * Invalidates an account: its blob, the blobs of all of its users, their
+ * access keys and signing keys, every translation of the account's or its
+ * users', roles' and policies' names, and every authorize() decision made for
+ * one of them or on a resource the account owns.
+ *
+ * uuid: account uuid
+ * login: account login
+ *
+ * At least one of uuid and login is required; the other is looked up in the
+ * translation cache.
+ */
+MahiClient.prototype.invalidateAccount = function invalidateAccount(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.login, 'opts.login');
+    assert.ok(opts.uuid || opts.login, 'opts.uuid or opts.login is required');
+
+    var self = this;
+    var uuid = opts.uuid ||
+        self.translationCache.peek(sprintf('/account/%s', opts.login));
+    var login = opts.login ||
+        self.translationCache.peek(sprintf('/uuid/%s', opts.uuid));
+    var count = 0;
+
+    // users of the account whose blobs were cached, {uuid: login}
+    var users = {};
+
+    function isAccount(account) {
+        return ((uuid !== undefined && account.uuid === uuid) ||
+            (login !== undefined && account.login === login));
+    }
+
+    function isAccountPath(key) {
+        var p = splitPath(key);
+        return ((uuid !== undefined && key === '/accounts/' + uuid) ||
+            (login !== undefined && p.path === '/accounts' &&
+            p.query.login === login) ||
+            (login !== undefined && p.path === '/users' &&
+            p.query.account === login));
+    }
+
+    self._generation++;
+
+    count += self._evict(self.authCache, function (key, entry) {
+        var info = entry.value;
+        if (!isAccount(info.account) && !isAccountPath(key)) {
+            return (false);
+        }
+        if (info.user) {
+            users[info.user.uuid] = info.user.login;
+        }
+        return (true);
+    });
+
+    count += self._evict(self.negativeCache, isAccountPath);
+
+    count += self._evict(self.accessKeyCache, function (key, entry) {
+        return (entry.value.uuid === uuid ||
+            users[entry.value.uuid] !== undefined);
+    });
+
+    count += self._evict(self.signingKeyCache, function (key, entry) {
+        return (entry.value.userUuid === uuid ||
+            users[entry.value.userUuid] !== undefined);
+    });
+
+    count += self._evict(self.decisionCache, function (key, entry) {
+        return (isAccount(entry.principal.account) ||
+            isAccount(entry.owner.account));
+    });
+
+    count += self._evict(self.translationCache, function (key, value) {
+        var parts = key.split('/');
+        if (parts.length === 4) {
+            // /<type>/<account>/<name>
+            return (login !== undefined && parts[2] === login);
+        }
+        return ((uuid !== undefined && key === '/uuid/' + uuid) ||
+            (login !== undefined && key === '/account/' + login) ||
+            (parts[1] === 'uuid' && users[parts[2]] !== undefined) ||
+            (parts[1] === 'user' && users[value] !== undefined));
+    });
+
+    return (count);
+};
+
+
+/**
+ * Invalidates a user: their blob (including account blobs cached in their
+ * place by getUser() with `fallback`), access keys, signing keys, name
+ * translations, and authorize() decisions made for them or on a resource they
+ * own.
+ *
+ * uuid: user uuid
+ * login: user login
+ * account: (optional) login of the user's account. If login is given without
+ *      account, users with that login in every account are invalidated
+ *
+ * At least one of uuid and login is required; the other is looked up in the
+ * translation cache.
+ */
+MahiClient.prototype.invalidateUser = function invalidateUser(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.login, 'opts.login');
+    assert.optionalString(opts.account, 'opts.account');
+    assert.ok(opts.uuid || opts.login, 'opts.uuid or opts.login is required');
+
+    var self = this;
+    var account = opts.account;
+    var uuid = opts.uuid || (account &&
+        self.translationCache.peek(sprintf('/user/%s/%s', account,
+        opts.login)));
+    var login = opts.login ||
+        self.translationCache.peek(sprintf('/uuid/%s', opts.uuid));
+    var count = 0;
+
+    function isUser(user, accountLogin) {
+        return ((uuid !== undefined && user.uuid === uuid) ||
+            (login !== undefined && user.login === login &&
+            (!account || accountLogin === account)));
+    }
 
-    if (!matchingRoles.length) {
-        throw new errors.NoMatchingRoleTagError();
+    function isUserPath(key) {
+        var p = splitPath(key);
+        return ((uuid !== undefined && key === '/users/' + uuid) ||
+            (login !== undefined && p.path === '/users' &&
+            p.query.login === login &&
+            (!account || p.query.account === account)));
     }
 
-    if (!rulesToEvaluate.length) {
-        throw new errors.RulesEvaluationFailedError();
-    }
+    self._generation++;
 
-    var ok = evaluator.evaluate(rulesToEvaluate, context);
-    if (!ok) {
-        throw new errors.RulesEvaluationFailedError();
-    }
-    return (ok);
+    count += self._evict(self.authCache, function (key, entry) {
+        var info = entry.value;
+        return (isUserPath(key) ||
+            (info.user && isUser(info.user, info.account.login)));
+    });
+
+    count += self._evict(self.negativeCache, isUserPath);
+
+    count += self._evict(self.accessKeyCache, function (key, entry) {
+        return (uuid !== undefined && entry.value.uuid === uuid);
+    });
+
+    count += self._evict(self.signingKeyCache, function (key, entry) {
+        return (uuid !== undefined && entry.value.userUuid === uuid);
+    });
+
+    count += self._evict(self.decisionCache, function (key, entry) {
+        var principal = entry.principal;
+        var owner = entry.owner;
+        return ((principal.user &&
+            isUser(principal.user, principal.account.login)) ||
+            (owner.user && isUser(owner.user, owner.account.login)));
+    });
+
+    count += self._evict(self.translationCache, function (key, value) {
+        var parts = key.split('/');
+        if (parts.length === 4) {
+            // /user/<account>/<name>
+            return (parts[1] === 'user' && login !== undefined &&
+                parts[3] === login && (!account || parts[2] === account));
+        }
+        return ((uuid !== undefined && key === '/uuid/' + uuid) ||
+            (login !== undefined && key === '/user/' + login &&
+            (uuid === undefined || value === uuid)));
+    });
+
+    return (count);
 };
 
 
-/*
- * uuids: array of uuids
- * returns a mapping of {uuid: name}
+/**
+ * Invalidates an access key: its lookup, any signing keys derived from it and,
+ * if the lookup was cached, authorize() decisions made for its owner.
+ *
+ * accessKeyId: access key ID
  */
-MahiClient.prototype.getName = function getName(opts, cb) {
-    assert.object(opts, 'opts');
-    assert.arrayOfString(opts.uuids, 'opts.uuids');
+MahiClient.prototype.invalidateAccessKey = function invalidateAccessKey(
+    accessKeyId) {
+
+    assert.string(accessKeyId, 'accessKeyId');
 
     var self = this;
+    var lookup = sprintf('/aws-auth/%s', accessKeyId);
+    var signingKeys = sprintf('/aws-signing-key/%s?', accessKeyId);
 
-    var uncached = [];
-    var translations = {};
+    var cached = self.accessKeyCache.peek(lookup);
+    var owner = cached && cached.value.uuid;
 
-    opts.uuids.forEach(function (uuid) {
-        var path = sprintf('/uuid/%s', uuid);
-        var cached = self.translationCache.get(path);
-        if (!cached) {
-            uncached.push(uuid);
-        } else {
-            translations[uuid] = cached;
-        }
-    });
+    function isKeyPath(key) {
+        return (key === lookup || key.indexOf(signingKeys) === 0);
+    }
 
-    // All uuids were found in the cache. Nothing to ask the server.
-    if (!uncached.length) {
-        setImmediate(function () {
-            cb(null, translations);
-        });
-        return;
+    function isOwner(principal) {
+        return (principal.user ? principal.user.uuid === owner :
+            principal.account.uuid === owner);
     }
 
-    var q = qs.stringify({
-        uuid: uncached
-    });
-    self.http.get('/names?' + q, function (err, req, res, obj) {
-        if (err) {
-            cb(err);
-            return;
-        }
-        Object.keys(obj).forEach(function (uuid) {
-            self.translationCache.set(sprintf('/uuid/%s', uuid), obj[uuid]);
-            translations[uuid] = obj[uuid];
+    self._generation++;
+
+    var count = self._evict(self.accessKeyCache, isKeyPath) +
+        self._evict(self.signingKeyCache, isKeyPath) +
+        self._evict(self.negativeCache, isKeyPath);
+
+    if (owner !== undefined) {
+        count += self._evict(self.decisionCache, function (key, entry) {
+            return (isOwner(entry.principal));
         });
-        cb(null, translations);
-    });
+    }
+    return (count);
 };
 
 
 /**
+ * Empties every cache.
+ */
+MahiClient.prototype.invalidateAll = function invalidateAll() {
+    var self = this;
+    var count = self.authCache.itemCount + self.translationCache.itemCount +
+        self.accessKeyCache.itemCount + self.signingKeyCache.itemCount;
+
+    self._generation++;
+    self.authCache.reset();
+    self.translationCache.reset();
+    self.accessKeyCache.reset();
+    self.signingKeyCache.reset();
+    if (self.negativeCache) {
+        count += self.negativeCache.itemCount;
+        self.negativeCache.reset();
+    }
+    if (self.decisionCache) {
+        count += self.decisionCache.itemCount;
+        self.decisionCache.reset();
+    }
+    return (count);
+};
+
+
+/**
+ * Invalidates whatever a change in mahi makes out of date. Changes come from
+ * watchChanges(), or can be pushed in by the caller.
  *
- * account: account login
- * type (optional): type of the names. valid values: role, user, policy
- * names (optional): array of role/user/policy names to translate
- * returns:
- *
- * { "account": <accountUuid> }
+ * change: {
+ *      type: "account", "user", "role", "policy" or "accesskey",
+ *      uuid: (optional) uuid of the account, user, role or policy,
+ *      login: (optional) login of the account or user,
+ *      account: (optional) uuid of the account a user, role or policy
+ *          belongs to,
+ *      accessKeyId: (accesskey) access key ID
+ * }
  *
- * or
+ * Changes to an account's or user's SSH keys are changes to the account or
+ * user. Roles and policies are part of every blob of their account, so a
+ * change to either invalidates the whole account.
  *
- * {
- *      "account": <accountUuid>,
- *      "uuids": {
- *          <name>: <uuid>
- *      }
- * }
+ * Returns the number of cache entries dropped.
  */
-MahiClient.prototype.getUuid = function getUuid(opts, cb) {
-    assert.object(opts, 'opts');
-    assert.string(opts.account, 'opts.account');
-    if (opts.type || opts.names) {
-        assert.string(opts.type, 'opts.type');
-        assert.arrayOfString(opts.names, 'opts.names');
-    }
+MahiClient.prototype.handleChange = function handleChange(change) {
+    assert.object(change, 'change');
+    assert.string(change.type, 'change.type');
+    assert.optionalString(change.uuid, 'change.uuid');
+    assert.optionalString(change.login, 'change.login');
+    assert.optionalString(change.account, 'change.account');
 
     var self = this;
-    var account = opts.account;
-    var type = opts.type;
-    var names = opts.names || [];
-
-    var uncached = [];
-    var translations = {};
 
-    /*
-     * If no type was passed in, assume that we only want to look up the uuid
-     * for the account, so check if we have the translation cached. The account
-     * login is translated server side regardless of whether there are other
-     * things we want to translate. This saves us the round trip if we are only
-     * translating the account login AND we have the translation cached.
-     */
-    if (!type) {
-        var accountInfo =
-            self.translationCache.get(sprintf('/account/%s', account));
-        if (accountInfo) {
-            translations.account = accountInfo;
-            setImmediate(function () {
-                cb(null, translations);
-            });
-            return;
+    switch (change.type) {
+    case 'account':
+        return (self.invalidateAccount({
+            uuid: change.uuid,
+            login: change.login
+        }));
+    case 'user':
+        return (self.invalidateUser({
+            uuid: change.uuid,
+            login: change.login,
+            account: change.account && self.translationCache.peek(
+                sprintf('/uuid/%s', change.account))
+        }));
+    case 'role':
+    case 'policy':
+        assert.string(change.account, 'change.account');
+        return (self.invalidateAccount({
+            uuid: change.account
+        }));
+    case 'accesskey':
+        assert.string(change.accessKeyId, 'change.accessKeyId');
+        return (self.invalidateAccessKey(change.accessKeyId));
+    default:
+        if (self.log) {
+            self.log.debug({
+                change: change
+            }, 'ignoring change of unknown type');
         }
-    } else {
-        translations.uuids = {};
+        return (0);
     }
+};
 
-    names.forEach(function (name) {
-        var path = sprintf('/%s/%s/%s', type, account, name);
-        var cached = self.translationCache.get(path);
-        if (!cached) {
-            uncached.push(name);
-        } else {
-            translations.uuids[name] = cached;
-        }
+
+/**
+ * Starts polling mahi for changes and invalidating the caches as they happen
+ * (see ChangeFeed in changefeed.js). Polling stops when the client is closed.
+ *
+ * path: (optional) path of the changes endpoint. default "/changes"
+ * intervalMs: (optional) time between polls. default 5000
+ *
+ * Returns the ChangeFeed, which can be stopped with stop().
+ */
+MahiClient.prototype.watchChanges = function watchChanges(opts) {
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+
+    var self = this;
+    assert.ok(!self.changeFeed, 'already watching changes');
+
+    self.changeFeed = new ChangeFeed({
+        client: self,
+        path: opts.path,
+        intervalMs: opts.intervalMs
     });
+    self.changeFeed.start();
+    return (self.changeFeed);
+};
 
-    // All names/logins were found in the cache. Nothing to ask the server.
-    if (translations.account && !uncached.length) {
-        setImmediate(function () {
-            cb(null, translations);
-        });
-        return;
-    }
 
-    var data = {
-        account: account,
-        type: type
-    };
-    if (uncached.length) {
-        data.name = uncached;
-    }
+/**
+ * Cache snapshots, for warm starts. A snapshot holds the account and user,
+ * translation and access key caches, with the time each entry was fetched
+ * and when it expires (see snapshot.js). Signing keys are secrets, so they
+ * are only ever kept in memory and are never part of a snapshot; neither are
+ * cached 404s.
+ */
 
-    var q = qs.stringify(data);
-    self.http.get('/uuids?' + q, function (err, req, res, obj) {
-        if (err) {
-            cb(err);
-            return;
-        }
-        self.translationCache.set(sprintf('/account/%s', account), obj.account);
-        translations.account = obj.account;
-        if (obj.uuids) {
-            Object.keys(obj.uuids).forEach(function (name) {
-                var path = sprintf('/%s/%s/%s', type, account, name);
-                self.translationCache.set(path, obj.uuids[name]);
-                translations.uuids[name] = obj.uuids[name];
-            });
-        }
-        cb(null, translations);
+MahiClient.prototype._snapshotCaches = function _snapshotCaches() {
+    var self = this;
+    return ({
+        auth: self.authCache,
+        translation: self.translationCache,
+        accessKey: self.accessKeyCache
     });
 };
 
 
-MahiClient.prototype.getLookup = function getLookup(opts, cb) {
-    if (typeof (opts === 'function')) {
-        cb = opts;
-        opts = {};
-    }
-    assert.object(opts, 'opts');
+/**
+ * Returns a snapshot of the caches.
+ */
+MahiClient.prototype.dumpCaches = function dumpCaches() {
+    var self = this;
+    return (snapshot.createSnapshot(self._snapshotCaches()));
+};
+
+
+/**
+ * Loads a snapshot from dumpCaches() into the caches. Entries that have
+ * expired since the snapshot was taken are skipped, the rest expire when they
+ * would have if the snapshot's client had kept them, and entries already in
+ * the caches are kept in preference to the snapshot's. Returns the number of
+ * entries loaded.
+ */
+MahiClient.prototype.loadCaches = function loadCaches(snap) {
+    var self = this;
+    return (snapshot.loadSnapshot(self._snapshotCaches(), snap));
+};
+
+
+/**
+ * Writes a snapshot of the caches to the file at `path`, readable only by its
+ * owner.
+ *
+ * cb: callback in the form fn(err)
+ */
+MahiClient.prototype.saveSnapshot = function saveSnapshot(path, cb) {
+    assert.string(path, 'path');
     assert.func(cb, 'callback');
 
     var self = this;
+    snapshot.writeFile(path, self.dumpCaches(), cb);
+};
+
+
+/**
+ * Loads the snapshot in the file at `path` into the caches, as loadCaches().
+ * A missing file loads nothing.
+ *
+ * cb: callback in the form fn(err, count), where count is the number of
+ *      entries loaded
+ */
+MahiClient.prototype.loadSnapshot = function loadSnapshot(path, cb) {
+    assert.string(path, 'path');
+    assert.func(cb, 'callback');
 
-    self.http.get('/lookup', function (err, req, res, obj) {
+    var self = this;
+    snapshot.readFile(path, function (err, snap) {
         if (err) {
             cb(err);
             return;
         }
-        cb(null, obj);
+        if (!snap) {
+            cb(null, 0);
+            return;
+        }
+
+        var count;
+        try {
+            count = self.loadCaches(snap);
+        } catch (e) {
+            cb(e);
+            return;
+        }
+        if (self.log) {
+            self.log.info({
+                path: path,
+                created: new Date(snap.created),
+                count: count
+            }, 'loaded mahi cache snapshot');
+        }
+        cb(null, count);
     });
 };
 
 
 /**
- * Look up user by access key ID
- * Used for S3 gateway integration - resolves access keys to user accounts
- *
- * accessKeyId: AWS access key ID (e.g., "AKIA123456789EXAMPLE")
- * cb: callback in the form fn(err, userInfo)
- * 
- * Returns user object without access key secrets:
- * {
- *     type: "account",
- *     uuid: "user-uuid",
- *     login: "username",
- *     accesskeys: ["AKIA123456789EXAMPLE"],
- *     approved_for_provisioning: true
- * }
+ * Fetches accounts and users ahead of time, so that they are cached by the
+ * time they are needed. Principals that are already cached are not fetched
+ * again.
  *
- * errors:
- * AccessKeyNotFoundError
- * RedisError
- */
-MahiClient.prototype.getUserByAccessKey = function 
-    getUserByAccessKey(accessKeyId, cb) {
-        assert.string(accessKeyId, 'accessKeyId');
-        assert.func(cb, 'callback');
-    
-        var self = this;
-        var path = sprintf('/aws-auth/%s', accessKeyId);
-        
-        self.http.get(path, function (err, req, res, obj) {
-            if (err) {
-                cb(err);
-                return;
-            }
-            cb(null, obj);
-        });
-};
-
-
-/**
- * Verify AWS Signature Version 4 authentication
- * 
- * request: HTTP request object with AWS4-HMAC-SHA256 authorization header
+ * accounts: (optional) array of account logins or uuids
+ * users: (optional) array of user uuids, or of {account, user} logins
+ * concurrency: (optional) maximum number of requests to mahi at once.
+ *      default 5
  * cb: callback in the form fn(err, result)
  *
- * Returns:
+ * result is an object like
  * {
- *     valid: true,
- *     accessKeyId: "AKIA123456789EXAMPLE", 
- *     userUuid: "user-uuid"
+ *      fetched: <number of principals now cached>,
+ *      errors: [ {principal: <account or user as given>, err: <error>} ]
  * }
  *
- * errors:
- * InvalidSignatureError
- * AccessKeyNotFoundError  
- * RequestTimeTooSkewedError
+ * A principal that can't be fetched doesn't stop the others, so err is
+ * always null; failures are listed in result.errors.
  */
-MahiClient.prototype.verifySigV4 = function verifySigV4(request, cb) {
-    assert.object(request, 'request');
+MahiClient.prototype.prefetch = function prefetch(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.accounts, 'opts.accounts');
+    assert.ok(opts.users === undefined || Array.isArray(opts.users),
+        'opts.users must be an array');
+    assert.optionalNumber(opts.concurrency, 'opts.concurrency');
     assert.func(cb, 'callback');
 
     var self = this;
-    
-    // Forward the original headers to mahi for SigV4 verification
-    var requestOptions = {
-        path: '/aws-verify',
-        headers: request.headers
-    };
-    
-    // Add request method and URL as query parameters since mahi needs them for verification
-    var qs = require('querystring');
-    var queryParams = {
-        method: request.method,
-        url: request.url
+    var result = {
+        fetched: 0,
+        errors: []
     };
-    requestOptions.path += '?' + qs.stringify(queryParams);
-    
-    self.http.post(requestOptions, {}, function (err, req, res, obj) {
-        if (err) {
-            cb(err);
+
+    var principals = [];
+    (opts.accounts || []).forEach(function (account) {
+        principals.push({
+            principal: account,
+            fetch: UUID_RE.test(account) ?
+                self.getAccountById.bind(self, account) :
+                self.getAccount.bind(self, account)
+        });
+    });
+    (opts.users || []).forEach(function (user) {
+        if (typeof (user) === 'string') {
+            principals.push({
+                principal: user,
+                fetch: self.getUserById.bind(self, user)
+            });
             return;
         }
-        cb(null, obj);
+        assert.string(user.account, 'user.account');
+        assert.string(user.user, 'user.user');
+        principals.push({
+            principal: user,
+            fetch: self.getUser.bind(self, user.user, user.account, false)
+        });
+    });
+
+    forEachParallel(principals, opts.concurrency || 5, function (p, next) {
+        p.fetch(function (err) {
+            if (err) {
+                result.errors.push({
+                    principal: p.principal,
+                    err: err
+                });
+            } else {
+                result.fetched++;
+            }
+            next();
+        });
+    }, function () {
+        cb(null, result);
     });
 };
 
 
+
+///--- Promise support
+
+/*
+ * Every asynchronous method also returns a Promise if it is called without a
+ * callback. The promise resolves with the callback's result; anything else
+ * passed to the callback (such as the cache metadata from getAccount()) is
+ * only available to callers that pass a callback. Assertion failures are
+ * still thrown synchronously.
+ */
+function promisify(name) {
+    var method = MahiClient.prototype[name];
+
+    MahiClient.prototype[name] = function () {
+        var self = this;
+        var args = Array.prototype.slice.call(arguments);
+
+        /*
+         * A trailing undefined is an omitted argument, not a position to
+         * fill: getUser('bob', 'banks', undefined) must not pass undefined
+         * as `fallback`.
+         */
+        while (args.length && args[args.length - 1] === undefined) {
+            args.pop();
+        }
+
+        if (typeof (args[args.length - 1]) === 'function') {
+            return (method.apply(self, args));
+        }
+
+        var resolve, reject;
+        var promise = new Promise(function (res, rej) {
+            resolve = res;
+            reject = rej;
+        });
+
+        args.push(function (err, result) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(result);
+        });
+        method.apply(self, args);
+
+        return (promise);
+    };
+}
+
+/*
+ * The methods that promisify() wraps. verifySignature() takes a callback too,
+ * but calls it before returning, so it is left as it is.
+ */
+var ASYNC_METHODS = [
+    'getAccount',
+    'getAccountById',
+    'getAccountsById',
+    'getAccountStatus',
+    'getLookup',
+    'getName',
+    'getSigningKey',
+    'getUser',
+    'getUserByAccessKey',
+    'getUserById',
+    'getUsersById',
+    'getUuid',
+    'authenticate',
+    'loadSnapshot',
+    'prefetch',
+    'saveSnapshot',
+    'verifyPostPolicy',
+    'verifySigV4'
+];
+ASYNC_METHODS.forEach(promisify);
+
+
 module.exports = {
     MahiClient: MahiClient,
     createClient: function (opts) {
         return (new MahiClient(opts));
     },
     ANONYMOUS_USER: ANONYMOUS_USER,
-    ADMIN_ROLE: ADMIN_ROLE_NAME
+    ADMIN_ROLE: ADMIN_ROLE_NAME,
+    ASYNC_METHODS: ASYNC_METHODS,
+    LINT: lint.CODES,
+    METRICS: metrics.NAMES,
+    S3_ACTIONS: s3.ACTIONS,
+    createAuthHandler: middleware.createAuthHandler,
+    createHttpAuthHandler: middleware.createHttpAuthHandler,
+    parseS3CopySource: s3.parseCopySource,
+    translateS3Request: s3.translateS3Request
 };
@@ -6,7 +6,7 @@
 
 /*
  * Copyright (c) 2014, Joyent, Inc.
- * Copyright 2025 Edgecast Cloud LLC.
+ * Copyright 2026 Edgecast Cloud LLC.
  */
 
 var util = require('util');
@@ -43,6 +43,28 @@ util.inherits(AccountBlockedError, MahiError);
 AccountBlockedError.prototype.name = 'AccountBlockedError';
 
 
+function AuthorizationRequiredError() {
+    MahiError.call(this, {
+        restCode: 'AuthorizationRequired',
+        statusCode: 401,
+        message: 'Authorization header is required'
+    });
+}
+util.inherits(AuthorizationRequiredError, MahiError);
+AuthorizationRequiredError.prototype.name = 'AuthorizationRequiredError';
+
+
+function CircuitOpenError() {
+    MahiError.call(this, {
+        restCode: 'CircuitOpen',
+        statusCode: 503,
+        message: 'mahi is unavailable (too many failed requests)'
+    });
+}
+util.inherits(CircuitOpenError, MahiError);
+CircuitOpenError.prototype.name = 'CircuitOpenError';
+
+
 function CrossAccountError() {
     MahiError.call(this, {
         restCode: 'CrossAccount',
@@ -53,12 +75,37 @@ util.inherits(CrossAccountError, MahiError);
 CrossAccountError.prototype.name = 'CrossAccountError';
 
 
-function InvalidRoleError(r) {
+function InvalidKeyIdError(keyId) {
+    MahiError.call(this, {
+        restCode: 'InvalidKeyId',
+        statusCode: 403,
+        message: keyId + ' is not a valid keyId'
+    });
+}
+util.inherits(InvalidKeyIdError, MahiError);
+InvalidKeyIdError.prototype.name = 'InvalidKeyIdError';
+
+
+function InvalidResponseError(path, reason) {
+    MahiError.call(this, {
+        restCode: 'InvalidResponse',
+        statusCode: 502,
+        message: sprintf('Invalid response from mahi for %s: %s', path, reason)
+    });
+}
+util.inherits(InvalidResponseError, MahiError);
+InvalidResponseError.prototype.name = 'InvalidResponseError';
+
+
+function InvalidRoleError(r, reason, account) {
     MahiError.call(this, {
         restCode: 'InvalidRole',
         statusCode: 403,
-        message: r
+        message: reason ? sprintf('%s: %s', r, reason) : r
     });
+    this.role = r;
+    this.reason = reason;
+    this.account = account;
 }
 util.inherits(InvalidRoleError, MahiError);
 InvalidRoleError.prototype.name = 'InvalidRoleError';
@@ -111,6 +158,30 @@ util.inherits(RulesEvaluationFailedError, MahiError);
 RulesEvaluationFailedError.prototype.name = 'RulesEvaluationFailedError';
 
 
+function PostPolicyConditionFailedError(condition, message) {
+    MahiError.call(this, {
+        restCode: 'PostPolicyConditionFailed',
+        statusCode: 403,
+        message: message
+    });
+    this.condition = condition;
+}
+util.inherits(PostPolicyConditionFailedError, MahiError);
+PostPolicyConditionFailedError.prototype.name =
+    'PostPolicyConditionFailedError';
+
+
+function RequestExpiredError(message) {
+    MahiError.call(this, {
+        restCode: 'RequestExpired',
+        statusCode: 403,
+        message: message || 'Request has expired'
+    });
+}
+util.inherits(RequestExpiredError, MahiError);
+RequestExpiredError.prototype.name = 'RequestExpiredError';
+
+
 function RequestTimeTooSkewedError() {
     MahiError.call(this, {
         restCode: 'RequestTimeTooSkewed',
@@ -126,12 +197,18 @@ RequestTimeTooSkewedError.prototype.name = 'RequestTimeTooSkewedError';
 module.exports = {
     AccessKeyNotFoundError: AccessKeyNotFoundError,
     AccountBlockedError: AccountBlockedError,
+    AuthorizationRequiredError: AuthorizationRequiredError,
+    CircuitOpenError: CircuitOpenError,
     CrossAccountError: CrossAccountError,
+    InvalidKeyIdError: InvalidKeyIdError,
+    InvalidResponseError: InvalidResponseError,
     InvalidRoleError: InvalidRoleError,
     InvalidSignatureError: InvalidSignatureError,
     KeyDoesNotExistError: KeyDoesNotExistError,
     MahiError: MahiError,
     NoMatchingRoleTagError: NoMatchingRoleTagError,
+    PostPolicyConditionFailedError: PostPolicyConditionFailedError,
+    RequestExpiredError: RequestExpiredError,
     RequestTimeTooSkewedError: RequestTimeTooSkewedError,
     RulesEvaluationFailedError: RulesEvaluationFailedError
 };
@@ -0,0 +1,248 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * Finds the parts of a principal's roles and rules that authorize() will
+ * never use. Each finding is an object like
+ *
+ *      {
+ *          code: <one of CODES>,
+ *          role: <roleUUID>,
+ *          name: <role name>,
+ *          rule: <rule text, for findings about a single rule>,
+ *          message: <description>
+ *      }
+ *
+ * with some codes adding fields of their own:
+ *
+ *      administratorRules  The administrator role has rules or policies.
+ *                          authorize() grants administrators everything in
+ *                          their account and ignores the role's rules.
+ *                          Adds `policies`.
+ *      deadRule            A rule names only resources in another account's
+ *                          namespace. A role only applies to resources its
+ *                          own account owns, so the rule can never match.
+ *                          Adds `resources`.
+ *      unknownCondition    A rule's condition isn't in the type table, so
+ *                          the rule can't be evaluated. Adds `condition`.
+ *      unassumableRole     The principal can never activate the role. Adds
+ *                          `reason`: "accountOwner" (account owners don't
+ *                          use roles), "missing" (the user is a member but
+ *                          the role isn't in principal.roles) or "notMember"
+ *                          (the user isn't a member of a default role, or of
+ *                          a role in principal.roles).
+ *      emptyRole           An assumable role that has no rules, so it never
+ *                          allows anything.
+ */
+
+var assert = require('assert-plus');
+var sprintf = require('util').format;
+
+
+
+///--- Globals
+
+var CODES = {
+    ADMINISTRATOR_RULES: 'administratorRules',
+    DEAD_RULE: 'deadRule',
+    EMPTY_ROLE: 'emptyRole',
+    UNASSUMABLE_ROLE: 'unassumableRole',
+    UNKNOWN_CONDITION: 'unknownCondition'
+};
+
+var ADMIN_ROLE_NAME = 'administrator';
+
+/* aperture's operators that combine conditions rather than compare them */
+var LOGICAL_OPS = ['and', 'or', 'not'];
+
+
+
+///--- Helpers
+
+/*
+ * Returns the names of the conditions in a parsed rule. aperture parses a
+ * rule's "when" clause into `conditions`, a tree of arrays: [op, ...operands]
+ * for and, or and not, and [op, name, value] for each comparison.
+ */
+function conditionsOf(parsed) {
+    var names = [];
+
+    function walk(node) {
+        if (!Array.isArray(node)) {
+            return;
+        }
+        if (LOGICAL_OPS.indexOf(node[0]) !== -1) {
+            node.slice(1).forEach(walk);
+            return;
+        }
+        if (typeof (node[1]) === 'string' && names.indexOf(node[1]) === -1) {
+            names.push(node[1]);
+        }
+    }
+
+    walk(parsed && parsed.conditions);
+    return (names);
+}
+
+
+/*
+ * Returns the exact resources a parsed rule names, or null if it applies to
+ * all resources, names none, or uses patterns.
+ */
+function exactResources(parsed) {
+    var resources = parsed && parsed.resources;
+    if (!resources || typeof (resources) !== 'object' ||
+        (Array.isArray(resources.regex) && resources.regex.length)) {
+
+        return (null);
+    }
+    var exact = resources.exact;
+    if (exact && !Array.isArray(exact) && typeof (exact) === 'object') {
+        exact = Object.keys(exact);
+    }
+    return (Array.isArray(exact) && exact.length ? exact : null);
+}
+
+
+
+///--- API
+
+/*
+ * principal: the principal from getUser, getUserById, getAccount or
+ *      getAccountById
+ * typeTable: (optional) the type table rules are evaluated with. If not
+ *      given, conditions aren't checked
+ *
+ * returns an array of findings (see above)
+ */
+function lintPrincipal(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.principal, 'opts.principal');
+    assert.object(opts.principal.account, 'opts.principal.account');
+    assert.optionalObject(opts.principal.user, 'opts.principal.user');
+    assert.optionalObject(opts.principal.roles, 'opts.principal.roles');
+    assert.optionalObject(opts.typeTable, 'opts.typeTable');
+
+    var principal = opts.principal;
+    var account = principal.account;
+    var user = principal.user;
+    var roles = principal.roles || {};
+    var findings = [];
+
+    function finding(code, uuid, message, extra) {
+        var role = roles[uuid];
+        var f = {
+            code: code,
+            role: uuid,
+            name: role ? role.name : undefined,
+            message: message
+        };
+        Object.keys(extra || {}).forEach(function (k) {
+            f[k] = extra[k];
+        });
+        findings.push(f);
+    }
+
+    function unassumable(uuid, reason, message) {
+        finding(CODES.UNASSUMABLE_ROLE, uuid, message, {reason: reason});
+    }
+
+    if (!user) {
+        Object.keys(roles).forEach(function (uuid) {
+            unassumable(uuid, 'accountOwner', 'account owners don\'t ' +
+                'assume roles: authorize() allows them everything in their ' +
+                'account');
+        });
+        return (findings);
+    }
+
+    /* without user.roles, every role in principal.roles is taken as joined */
+    var members = user.roles || Object.keys(roles);
+    members.forEach(function (uuid) {
+        if (!roles[uuid]) {
+            unassumable(uuid, 'missing', 'the user is a member of the role, ' +
+                'but it is missing from the principal\'s roles');
+        }
+    });
+    (user.defaultRoles || []).forEach(function (uuid) {
+        if (members.indexOf(uuid) === -1 && !roles[uuid]) {
+            unassumable(uuid, 'notMember', 'a default role the user is not ' +
+                'a member of');
+        }
+    });
+
+    Object.keys(roles).forEach(function (uuid) {
+        var role = roles[uuid];
+
+        if (members.indexOf(uuid) === -1) {
+            unassumable(uuid, 'notMember', 'the role is in the principal\'s ' +
+                'roles, but the user is not a member of it');
+            return;
+        }
+        var rules = role.rules || [];
+        var policies = role.policies || [];
+
+        if (role.name === ADMIN_ROLE_NAME) {
+            if (rules.length || policies.length) {
+                finding(CODES.ADMINISTRATOR_RULES, uuid, 'rules on the ' +
+                    'administrator role are ignored: it allows everything ' +
+                    'in its account', {policies: policies});
+            }
+            return;
+        }
+
+        if (!rules.length) {
+            finding(CODES.EMPTY_ROLE, uuid, 'the role has no rules, so it ' +
+                'never allows anything');
+            return;
+        }
+
+        /* a role's own account's login is only known for the caller's own */
+        var login = role.account === account.uuid ? account.login : undefined;
+
+        rules.forEach(function (rule) {
+            var text = rule[0];
+            var resources = exactResources(rule[1]);
+            if (login && resources && resources.every(function (r) {
+                var top = r.split('/')[1];
+                return (r.charAt(0) === '/' && top !== login &&
+                    top !== account.uuid);
+            })) {
+                finding(CODES.DEAD_RULE, uuid, sprintf('the rule only names ' +
+                    'resources outside account %s, which the role can\'t ' +
+                    'be used for', login), {
+                    rule: text,
+                    resources: resources
+                });
+            }
+
+            if (opts.typeTable) {
+                conditionsOf(rule[1]).forEach(function (c) {
+                    if (!opts.typeTable.hasOwnProperty(c)) {
+                        finding(CODES.UNKNOWN_CONDITION, uuid, sprintf(
+                            'condition %s is not in the type table', c), {
+                            rule: text,
+                            condition: c
+                        });
+                    }
+                });
+            }
+        });
+    });
+
+    return (findings);
+}
+
+
+module.exports = {
+    CODES: CODES,
+    conditionsOf: conditionsOf,
+    lintPrincipal: lintPrincipal
+};
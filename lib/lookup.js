@@ -0,0 +1,216 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * A local copy of mahi's lookup table (GET /lookup), which lists every account
+ * as
+ *
+ *      {
+ *          <accountUuid>: {
+ *              login: <login>,
+ *              approved: <approved_for_provisioning>,
+ *              isOperator: <true if in the operators group>
+ *          }, ...
+ *      }
+ *
+ * The table is refreshed periodically. Refreshes send the ETag of the last
+ * table mahi returned, so an unchanged table isn't sent again. If refreshes
+ * keep failing, the copy is only used until it is maxAgeMs old.
+ */
+
+var assert = require('assert-plus');
+
+
+///--- API
+
+/*
+ * client: MahiClient, whose http client is used to fetch the table
+ * refreshMs: (optional) time between refreshes. default 60000
+ * maxAgeMs: (optional) age after which the table is no longer used if it
+ *      can't be refreshed. default 600000 (10 minutes)
+ * log: (optional) bunyan logger. default: the client's
+ */
+function LookupTable(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.client, 'opts.client');
+    assert.optionalNumber(opts.refreshMs, 'opts.refreshMs');
+    assert.optionalNumber(opts.maxAgeMs, 'opts.maxAgeMs');
+    assert.optionalObject(opts.log, 'opts.log');
+
+    var self = this;
+
+    self.client = opts.client;
+    self.refreshMs = opts.refreshMs || 1000 * 60;
+    self.maxAgeMs = opts.maxAgeMs || 1000 * 60 * 10;
+    self.log = opts.log || opts.client.log;
+
+    self.accounts = {};
+    self.logins = {};
+    self.etag = null;
+    self.refreshedAt = null;
+    self.running = false;
+    self._timer = null;
+    self._refreshing = false;
+}
+
+
+LookupTable.prototype.start = function start() {
+    var self = this;
+    if (self.running) {
+        return;
+    }
+    self.running = true;
+    self.refresh(function () {});
+};
+
+
+LookupTable.prototype.stop = function stop() {
+    var self = this;
+    self.running = false;
+    if (self._timer) {
+        clearTimeout(self._timer);
+        self._timer = null;
+    }
+};
+
+
+/*
+ * Returns true if the table has been loaded and is recent enough to use.
+ */
+LookupTable.prototype.usable = function usable() {
+    var self = this;
+    return (self.refreshedAt !== null &&
+        Date.now() - self.refreshedAt.getTime() < self.maxAgeMs);
+};
+
+
+/*
+ * byUuid() and byLogin() return {uuid, login, approved, isOperator} for the
+ * account with the given uuid or login, or undefined if the table doesn't have
+ * it (or isn't usable).
+ */
+LookupTable.prototype.byUuid = function byUuid(uuid) {
+    var self = this;
+    if (!self.usable() || !self.accounts.hasOwnProperty(uuid)) {
+        return (undefined);
+    }
+
+    var entry = self.accounts[uuid];
+    return ({
+        uuid: uuid,
+        login: entry.login,
+        approved: entry.approved === true,
+        isOperator: entry.isOperator === true
+    });
+};
+
+
+LookupTable.prototype.byLogin = function byLogin(login) {
+    var self = this;
+    if (!self.usable() || !self.logins.hasOwnProperty(login)) {
+        return (undefined);
+    }
+    return (self.byUuid(self.logins[login]));
+};
+
+
+/*
+ * Fetches the table from mahi now, unless a refresh is already in flight.
+ * Schedules the next refresh if the table is running.
+ *
+ * cb: callback in the form fn(err)
+ */
+LookupTable.prototype.refresh = function refresh(cb) {
+    assert.func(cb, 'callback');
+
+    var self = this;
+    if (self._refreshing) {
+        setImmediate(cb);
+        return;
+    }
+    self._refreshing = true;
+
+    var options = {
+        path: '/lookup',
+        headers: {},
+        breaker: false
+    };
+    if (self.etag) {
+        options.headers['if-none-match'] = self.etag;
+    }
+
+    self.client.http.get(options, function (err, req, res, obj) {
+        self._refreshing = false;
+
+        if (err) {
+            if (self.log) {
+                self.log.warn({
+                    err: err,
+                    refreshedAt: self.refreshedAt
+                }, 'failed to refresh mahi lookup table');
+            }
+        } else if (res && res.statusCode === 304) {
+            self.refreshedAt = new Date();
+        } else if (typeof (obj) !== 'object' || obj === null) {
+            err = new Error('invalid lookup table');
+            if (self.log) {
+                self.log.warn({
+                    err: err
+                }, 'failed to refresh mahi lookup table');
+            }
+        } else {
+            self._load(obj);
+            self.etag = (res && res.headers && res.headers.etag) || null;
+            self.refreshedAt = new Date();
+        }
+
+        self._schedule();
+        cb(err);
+    });
+};
+
+
+LookupTable.prototype._load = function _load(table) {
+    var self = this;
+    var accounts = {};
+    var logins = {};
+
+    Object.keys(table).forEach(function (uuid) {
+        var entry = table[uuid];
+        if (entry && typeof (entry) === 'object' &&
+            typeof (entry.login) === 'string') {
+
+            accounts[uuid] = entry;
+            logins[entry.login] = uuid;
+        }
+    });
+
+    self.accounts = accounts;
+    self.logins = logins;
+};
+
+
+LookupTable.prototype._schedule = function _schedule() {
+    var self = this;
+    if (!self.running || self._timer) {
+        return;
+    }
+    self._timer = setTimeout(function () {
+        self._timer = null;
+        self.refresh(function () {});
+    }, self.refreshMs);
+    /* refreshing alone shouldn't keep the process alive */
+    self._timer.unref();
+};
+
+
+module.exports = {
+    LookupTable: LookupTable
+};
@@ -0,0 +1,94 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * Metric names and labels reported by MahiClient to a metrics collector.
+ *
+ * A collector is any object with these methods:
+ *
+ *      increment(name, labels)         add one to the counter `name`
+ *      observe(name, value, labels)    add `value` to the histogram `name`
+ *
+ * where `labels` is an object of string values. The metrics are:
+ *
+ *      mahi_cache_hits_total           counter {cache}
+ *      mahi_cache_misses_total         counter {cache}
+ *      mahi_cache_evictions_total      counter {cache}
+ *      mahi_request_duration_ms        histogram {endpoint, method, path,
+ *                                          status}
+ *      mahi_authorize_total            counter {decision, restCode}
+ *
+ * `cache` is one of "auth", "translation", "accessKey", "signingKey",
+ * "negative", "decision" and "lookup" (the lookup table, which has no
+ * evictions).
+ * Evictions count every entry dropped from a cache, whether to make room,
+ * because it expired, or because it was deleted. `path` is the route
+ * requested, with identifiers replaced (e.g. "/accounts/:uuid") so that the
+ * number of distinct label values stays small. `status` is the HTTP status
+ * code, or "error" if no response was received. `restCode` is empty for
+ * allowed requests.
+ */
+
+var assert = require('assert-plus');
+
+
+///--- Globals
+
+var NAMES = {
+    CACHE_HITS: 'mahi_cache_hits_total',
+    CACHE_MISSES: 'mahi_cache_misses_total',
+    CACHE_EVICTIONS: 'mahi_cache_evictions_total',
+    REQUEST_DURATION: 'mahi_request_duration_ms',
+    AUTHORIZE: 'mahi_authorize_total'
+};
+
+/* routes whose second path component is an identifier */
+var ID_ROUTES = {
+    'accounts': '/accounts/:uuid',
+    'users': '/users/:uuid',
+    'aws-auth': '/aws-auth/:accessKeyId',
+    'aws-signing-key': '/aws-signing-key/:accessKeyId'
+};
+
+
+
+///--- API
+
+/*
+ * Returns the route for a request path: the path without its query string,
+ * and with any identifier in it replaced by a placeholder.
+ */
+function routeOf(path) {
+    assert.string(path, 'path');
+
+    var route = path.split('?')[0];
+    var parts = route.split('/');
+    if (parts.length > 2 && ID_ROUTES[parts[1]]) {
+        return (ID_ROUTES[parts[1]]);
+    }
+    return (route);
+}
+
+
+/*
+ * Asserts that `collector` implements the collector interface.
+ */
+function assertCollector(collector, name) {
+    assert.object(collector, name);
+    assert.func(collector.increment, name + '.increment');
+    assert.func(collector.observe, name + '.observe');
+}
+
+
+module.exports = {
+    NAMES: NAMES,
+    assertCollector: assertCollector,
+    routeOf: routeOf
+};
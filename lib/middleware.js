@@ -0,0 +1,247 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * Request handlers that authenticate (and optionally authorize) requests
+ * using a MahiClient, for restify servers and for anything else that uses
+ * (req, res, next) handlers.
+ */
+
+var assert = require('assert-plus');
+var errors = require('./errors.js');
+var httpSignature = require('http-signature');
+var sigv4 = require('./sigv4.js');
+
+
+///--- Helpers
+
+/*
+ * Returns the role names requested with the "role" header or query parameter
+ * (comma separated), or undefined if none were.
+ */
+function requestedRoles(req) {
+    var roles = req.headers.role;
+    if (!roles && req.query && typeof (req.query) === 'object') {
+        roles = req.query.role;
+    }
+    if (!roles || typeof (roles) !== 'string') {
+        return (undefined);
+    }
+    return (roles.split(',').map(function (r) {
+        return (r.trim());
+    }).filter(function (r) {
+        return (r.length > 0);
+    }));
+}
+
+
+/*
+ * Works out how `req` is signed and returns the options for
+ * MahiClient.prototype.authenticate(), or throws if it isn't signed (or the
+ * signature can't be parsed).
+ */
+function authenticateOpts(req) {
+    var auth = req.headers.authorization;
+
+    if (sigv4.isPresigned(req) ||
+        (auth && auth.indexOf(sigv4.ALGORITHM + ' ') === 0)) {
+        return ({
+            request: req
+        });
+    }
+
+    if (!auth) {
+        throw new errors.AuthorizationRequiredError();
+    }
+
+    /* restify's authorizationParser may have already done the work */
+    var signature = req.authorization && req.authorization.signature;
+    if (!signature) {
+        try {
+            signature = httpSignature.parseRequest(req);
+        } catch (e) {
+            throw new errors.InvalidSignatureError();
+        }
+    }
+    return ({
+        signature: signature
+    });
+}
+
+
+/*
+ * Authenticates `req`, then authorizes it if `opts.authorize` is set. Calls
+ * back with an error to send, or nothing once req.caller is set.
+ */
+function handle(opts, req, cb) {
+    var authOpts;
+    try {
+        authOpts = authenticateOpts(req);
+    } catch (e) {
+        cb(e);
+        return;
+    }
+    authOpts.roles = opts.roles ? opts.roles(req) : requestedRoles(req);
+    authOpts.fallback = opts.fallback;
+
+    opts.client.authenticate(authOpts, function (err, ctx) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        req.caller = ctx;
+
+        if (!opts.authorize) {
+            cb();
+            return;
+        }
+
+        opts.authorize(req, function (aErr, spec) {
+            if (aErr) {
+                cb(aErr);
+                return;
+            }
+
+            /* deny unless the route explicitly opted out */
+            if (!spec || typeof (spec) !== 'object') {
+                cb(new errors.RulesEvaluationFailedError());
+                return;
+            }
+            if (spec.skip === true) {
+                cb();
+                return;
+            }
+
+            var conditions = {};
+            Object.keys(spec.conditions || {}).forEach(function (k) {
+                conditions[k] = spec.conditions[k];
+            });
+            Object.keys(ctx.conditions).forEach(function (k) {
+                conditions[k] = ctx.conditions[k];
+            });
+
+            try {
+                opts.client.authorize({
+                    principal: ctx.principal,
+                    action: spec.action,
+                    resource: spec.resource,
+                    conditions: conditions
+                });
+            } catch (e) {
+                cb(e);
+                return;
+            }
+            cb();
+        });
+    });
+}
+
+
+function checkOpts(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.client, 'opts.client');
+    assert.optionalFunc(opts.authorize, 'opts.authorize');
+    assert.optionalFunc(opts.roles, 'opts.roles');
+    assert.optionalBool(opts.fallback, 'opts.fallback');
+    assert.optionalObject(opts.log, 'opts.log');
+}
+
+
+
+///--- API
+
+/*
+ * Creates a restify handler (for server.use() or a route) that authenticates
+ * each request with HTTP Signature or AWS SigV4 (header or presigned URL) and
+ * sets req.caller to the auth context from MahiClient.prototype.authenticate().
+ * Errors are passed to next(), so restify sends them with the status code of
+ * the MahiError (or restify error from mahi) that caused them.
+ *
+ * client: MahiClient
+ * authorize: (optional) function (req, cb) that calls back with
+ *      {action, resource, conditions} for the request, which is then checked
+ *      with MahiClient.prototype.authorize(). `conditions` (optional) is
+ *      merged with the caller's activeRoles. Calling back with {skip: true}
+ *      skips authorization for that request; calling back with no object
+ *      denies it
+ * roles: (optional) function (req) returning the role names to activate.
+ *      default: the comma separated "role" header or query parameter
+ * fallback: (optional) authenticate requests from sub-users that don't exist
+ *      as their account (see MahiClient.prototype.getUser())
+ * log: (optional) bunyan logger, for the errors createHttpAuthHandler()
+ *      doesn't send to the client. default: the client's
+ */
+function createAuthHandler(opts) {
+    checkOpts(opts);
+
+    return (function mahiAuthenticate(req, res, next) {
+        handle(opts, req, function (err) {
+            if (err) {
+                next(err);
+                return;
+            }
+            next();
+        });
+    });
+}
+
+
+/*
+ * As createAuthHandler(), but for plain node http servers and frameworks
+ * that don't turn errors passed to next() into responses. On failure the
+ * handler sends the response itself, with the error's status code and a body
+ * of {"code": <restCode>, "message": <message>}, and does not call next().
+ * Errors other than MahiErrors (and restify errors from mahi) are logged and
+ * sent as a 500 InternalError, without their message.
+ */
+function createHttpAuthHandler(opts) {
+    checkOpts(opts);
+    var log = opts.log || opts.client.log;
+
+    return (function mahiAuthenticate(req, res, next) {
+        handle(opts, req, function (err) {
+            if (!err) {
+                next();
+                return;
+            }
+
+            var statusCode = err.statusCode;
+            var code = err.restCode;
+            var message = err.message;
+            if (!statusCode || !code) {
+                if (log) {
+                    log.error({
+                        err: err,
+                        method: req.method,
+                        url: req.url
+                    }, 'failed to authenticate request');
+                }
+                statusCode = 500;
+                code = 'InternalError';
+                message = 'Internal error';
+            }
+
+            var body = JSON.stringify({
+                code: code,
+                message: message
+            });
+            res.statusCode = statusCode;
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Length', Buffer.byteLength(body));
+            res.end(body);
+        });
+    });
+}
+
+
+module.exports = {
+    createAuthHandler: createAuthHandler,
+    createHttpAuthHandler: createHttpAuthHandler
+};
@@ -0,0 +1,754 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * An in-process stand-in for mahi, for testing MahiClient and the services
+ * that use it without a mahi server. It serves the same routes as mahi
+ *
+ *      GET  /accounts?login=<login>
+ *      GET  /accounts/:uuid
+ *      GET  /users?account=<login>&login=<login>[&fallback=true]
+ *      GET  /users/:uuid
+ *      GET  /names?uuid=<uuid>[&uuid=...]
+ *      GET  /uuids?account=<login>&type=<type>[&name=<name>...]
+ *      GET  /lookup
+ *      GET  /aws-auth/:accessKeyId
+ *      GET  /aws-signing-key/:accessKeyId?date=&region=&service=
+ *      POST /aws-verify?method=<method>&url=<url>
+ *
+ * from a fixture, which describes the accounts to serve:
+ *
+ *      {
+ *          typeTable: { <condition>: <type>, ... },
+ *          accounts: [ {
+ *              login: <login>,
+ *              uuid: <uuid>,
+ *              approved: <approved_for_provisioning, default true>,
+ *              isOperator: <default false>,
+ *              keys: { <keyId>: <public key>, ... },
+ *              accessKeys: { <accessKeyId>: <secret>, ... },
+ *              roles: [ {
+ *                  name: <name>,
+ *                  uuid: <uuid>,
+ *                  rules: [ <aperture rule text>, ... ]
+ *              }, ... ],
+ *              users: [ {
+ *                  login: <login>,
+ *                  uuid: <uuid>,
+ *                  keys: { ... },
+ *                  accessKeys: { ... },
+ *                  roles: [ <role>, ... ],
+ *                  defaultRoles: [ <role>, ... ]
+ *              }, ... ]
+ *          }, ... ]
+ *      }
+ *
+ * Everything but logins and role names is optional, and missing uuids are
+ * generated. A user's roles are given by name (roles of the user's own
+ * account), as "<account login>/<name>" or by uuid, so users can be members
+ * of other accounts' roles. Rules are parsed with aperture using typeTable.
+ *
+ * Responses, including the errors for missing principals, have the same
+ * shape as mahi's. Failures can be injected per route with fail(), and every
+ * request is recorded in `requests`.
+ */
+
+var aperture = require('aperture');
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var errors = require('./errors.js');
+var metrics = require('./metrics.js');
+var restify = require('restify');
+var sigv4 = require('./sigv4.js');
+var sprintf = require('util').format;
+
+
+
+///--- Helpers
+
+function randomUuid() {
+    var bytes = crypto.randomBytes(16);
+    /* version 4, variant 1 */
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    var hex = bytes.toString('hex');
+    return ([
+        hex.substr(0, 8),
+        hex.substr(8, 4),
+        hex.substr(12, 4),
+        hex.substr(16, 4),
+        hex.substr(20)
+    ].join('-'));
+}
+
+
+function copy(obj) {
+    return (JSON.parse(JSON.stringify(obj)));
+}
+
+
+/* restify's queryParser gives a string for one value, an array for more */
+function asArray(value) {
+    if (value === undefined) {
+        return ([]);
+    }
+    return (Array.isArray(value) ? value : [value]);
+}
+
+
+function notFound(restCode, message) {
+    return (new restify.RestError({
+        restCode: restCode,
+        statusCode: 404,
+        message: message
+    }));
+}
+
+
+
+///--- Fixture
+
+/*
+ * Builds the accounts, users and roles described by `spec` (see above) into
+ * the objects mahi would return for them.
+ *
+ * throws if the spec is malformed, or names a role that doesn't exist
+ */
+function Fixture(spec) {
+    assert.object(spec, 'spec');
+    assert.optionalObject(spec.typeTable, 'spec.typeTable');
+    assert.arrayOfObject(spec.accounts, 'spec.accounts');
+
+    var self = this;
+
+    self.typeTable = spec.typeTable || {};
+    self.accounts = {};
+    self.users = {};
+    self.roles = {};
+    self.accessKeys = {};
+    self._parser = null;
+
+    spec.accounts.forEach(function (a) {
+        self._addAccount(a);
+    });
+    /* roles are resolved once every account's roles exist */
+    spec.accounts.forEach(function (a) {
+        (a.users || []).forEach(function (u) {
+            self._addUser(self.accountByLogin(a.login).account, u);
+        });
+    });
+}
+
+
+Fixture.prototype._parseRule = function _parseRule(rule) {
+    var self = this;
+    if (Array.isArray(rule)) {
+        return (rule);
+    }
+    assert.string(rule, 'rule');
+    if (!self._parser) {
+        self._parser = aperture.createParser({
+            types: aperture.types,
+            typeTable: self.typeTable
+        });
+    }
+    return ([rule, self._parser.parse(rule)]);
+};
+
+
+Fixture.prototype._addAccessKeys = function _addAccessKeys(keys, principal) {
+    var self = this;
+    Object.keys(keys || {}).forEach(function (id) {
+        assert.ok(!self.accessKeys[id], 'duplicate access key ' + id);
+        self.accessKeys[id] = {
+            secret: keys[id],
+            principal: principal
+        };
+    });
+};
+
+
+Fixture.prototype._addAccount = function _addAccount(a) {
+    assert.string(a.login, 'account.login');
+    assert.optionalString(a.uuid, 'account.uuid');
+    assert.optionalBool(a.approved, 'account.approved');
+    assert.optionalBool(a.isOperator, 'account.isOperator');
+    assert.optionalObject(a.keys, 'account.keys');
+    assert.optionalObject(a.accessKeys, 'account.accessKeys');
+    assert.optionalArrayOfObject(a.roles, 'account.roles');
+    assert.optionalArrayOfObject(a.users, 'account.users');
+
+    var self = this;
+    var account = {
+        type: 'account',
+        uuid: a.uuid || randomUuid(),
+        login: a.login,
+        approved_for_provisioning: a.approved !== false,
+        keys: a.keys || {},
+        groups: a.isOperator ? {operators: true} : {},
+        isOperator: a.isOperator === true
+    };
+    assert.ok(!self.accountByLogin(a.login), 'duplicate account ' + a.login);
+    self.accounts[account.uuid] = account;
+    self._addAccessKeys(a.accessKeys, account);
+
+    (a.roles || []).forEach(function (r) {
+        assert.string(r.name, 'role.name');
+        assert.optionalString(r.uuid, 'role.uuid');
+        assert.ok(r.rules === undefined || Array.isArray(r.rules),
+            'role.rules must be an array');
+
+        var role = {
+            type: 'role',
+            uuid: r.uuid || randomUuid(),
+            name: r.name,
+            account: account.uuid,
+            policies: [],
+            rules: (r.rules || []).map(self._parseRule.bind(self))
+        };
+        self.roles[role.uuid] = role;
+    });
+};
+
+
+Fixture.prototype._findRole = function _findRole(account, ref) {
+    var self = this;
+    if (self.roles[ref]) {
+        return (self.roles[ref]);
+    }
+
+    var i = ref.indexOf('/');
+    var owner = account;
+    var name = ref;
+    if (i !== -1) {
+        var found = self.accountByLogin(ref.substr(0, i));
+        owner = found && found.account;
+        name = ref.substr(i + 1);
+    }
+
+    var matches = Object.keys(self.roles).filter(function (uuid) {
+        return (owner && self.roles[uuid].account === owner.uuid &&
+            self.roles[uuid].name === name);
+    });
+    assert.ok(matches.length === 1, 'unknown role ' + ref);
+    return (self.roles[matches[0]]);
+};
+
+
+Fixture.prototype._addUser = function _addUser(account, u) {
+    assert.string(u.login, 'user.login');
+    assert.optionalString(u.uuid, 'user.uuid');
+    assert.optionalObject(u.keys, 'user.keys');
+    assert.optionalObject(u.accessKeys, 'user.accessKeys');
+    assert.optionalArrayOfString(u.roles, 'user.roles');
+    assert.optionalArrayOfString(u.defaultRoles, 'user.defaultRoles');
+
+    var self = this;
+    function uuidOf(ref) {
+        return (self._findRole(account, ref).uuid);
+    }
+
+    var user = {
+        type: 'user',
+        uuid: u.uuid || randomUuid(),
+        account: account.uuid,
+        login: u.login,
+        keys: u.keys || {},
+        roles: (u.roles || []).map(uuidOf),
+        defaultRoles: (u.defaultRoles || []).map(uuidOf)
+    };
+    assert.ok(!self.userByLogin(account.login, u.login),
+        'duplicate user ' + account.login + '/' + u.login);
+    self.users[user.uuid] = user;
+    self._addAccessKeys(u.accessKeys, user);
+};
+
+
+/*
+ * The lookups below return copies of what mahi returns for the principal
+ * ({account, roles} or {account, user, roles}), or undefined if there is no
+ * such principal. These are also suitable as the principal and resource
+ * owner for MahiClient.prototype.authorize().
+ */
+Fixture.prototype.accountByUuid = function accountByUuid(uuid) {
+    var self = this;
+    if (!self.accounts.hasOwnProperty(uuid)) {
+        return (undefined);
+    }
+    return (copy({
+        account: self.accounts[uuid],
+        roles: {}
+    }));
+};
+
+
+Fixture.prototype.accountByLogin = function accountByLogin(login) {
+    var self = this;
+    var uuids = Object.keys(self.accounts).filter(function (uuid) {
+        return (self.accounts[uuid].login === login);
+    });
+    return (uuids.length ? self.accountByUuid(uuids[0]) : undefined);
+};
+
+
+Fixture.prototype.userByUuid = function userByUuid(uuid) {
+    var self = this;
+    if (!self.users.hasOwnProperty(uuid)) {
+        return (undefined);
+    }
+
+    var user = self.users[uuid];
+    var roles = {};
+    user.roles.forEach(function (r) {
+        roles[r] = self.roles[r];
+    });
+    return (copy({
+        account: self.accounts[user.account],
+        user: user,
+        roles: roles
+    }));
+};
+
+
+Fixture.prototype.userByLogin = function userByLogin(account, login) {
+    var self = this;
+    var info = self.accountByLogin(account);
+    if (!info) {
+        return (undefined);
+    }
+    var uuids = Object.keys(self.users).filter(function (uuid) {
+        return (self.users[uuid].account === info.account.uuid &&
+            self.users[uuid].login === login);
+    });
+    return (uuids.length ? self.userByUuid(uuids[0]) : undefined);
+};
+
+
+/*
+ * Returns the login or name of the account, user or role with `uuid`.
+ */
+Fixture.prototype.nameOf = function nameOf(uuid) {
+    var self = this;
+    var obj = self.accounts[uuid] || self.users[uuid];
+    if (obj) {
+        return (obj.login);
+    }
+    return (self.roles[uuid] ? self.roles[uuid].name : undefined);
+};
+
+
+/*
+ * Returns mahi's lookup table: {<accountUuid>: {login, approved,
+ * isOperator}}.
+ */
+Fixture.prototype.lookup = function lookup() {
+    var self = this;
+    var table = {};
+    Object.keys(self.accounts).forEach(function (uuid) {
+        var account = self.accounts[uuid];
+        table[uuid] = {
+            login: account.login,
+            approved: account.approved_for_provisioning,
+            isOperator: account.isOperator
+        };
+    });
+    return (table);
+};
+
+
+
+///--- Server
+
+/*
+ * fixture: a fixture spec (see above) or Fixture
+ * maxSigV4SkewMs: (optional) allowed clock skew for SigV4 requests, as for
+ *      MahiClient
+ * log: (optional) bunyan logger for the restify server
+ */
+function MockMahi(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.fixture, 'opts.fixture');
+    assert.optionalNumber(opts.maxSigV4SkewMs, 'opts.maxSigV4SkewMs');
+    assert.optionalObject(opts.log, 'opts.log');
+
+    var self = this;
+
+    self.load(opts.fixture);
+    self.maxSigV4SkewMs = opts.maxSigV4SkewMs;
+    self.requests = [];
+    self.failures = {};
+    self.url = null;
+
+    var serverOpts = {
+        name: 'mahi-mock'
+    };
+    if (opts.log) {
+        serverOpts.log = opts.log;
+    }
+    self.server = restify.createServer(serverOpts);
+    self.server.use(restify.queryParser());
+    self.server.use(function record(req, res, next) {
+        var route = metrics.routeOf(req.url);
+        self.requests.push({
+            method: req.method,
+            path: req.url,
+            route: route
+        });
+        next(self._injected(route));
+    });
+
+    self.server.get('/accounts', self._getAccount.bind(self));
+    self.server.get('/accounts/:uuid', self._getAccountById.bind(self));
+    self.server.get('/users', self._getUser.bind(self));
+    self.server.get('/users/:uuid', self._getUserById.bind(self));
+    self.server.get('/names', self._getNames.bind(self));
+    self.server.get('/uuids', self._getUuids.bind(self));
+    self.server.get('/lookup', self._getLookup.bind(self));
+    self.server.get('/aws-auth/:accessKeyId', self._getAccessKey.bind(self));
+    self.server.get('/aws-signing-key/:accessKeyId',
+        self._getSigningKey.bind(self));
+    self.server.post('/aws-verify', self._verifySigV4.bind(self));
+}
+
+
+/*
+ * Listens on `port` (default: any free port) on the loopback interface, and
+ * sets `url` once listening.
+ *
+ * cb: callback in the form fn(err, url)
+ */
+MockMahi.prototype.listen = function listen(port, cb) {
+    if (typeof (port) === 'function') {
+        cb = port;
+        port = 0;
+    }
+    assert.number(port, 'port');
+    assert.func(cb, 'callback');
+
+    var self = this;
+    self.server.once('error', cb);
+    self.server.listen(port, '127.0.0.1', function () {
+        self.server.removeListener('error', cb);
+        self.url = 'http://127.0.0.1:' + self.server.address().port;
+        cb(null, self.url);
+    });
+};
+
+
+MockMahi.prototype.close = function close(cb) {
+    var self = this;
+    self.server.close(cb);
+};
+
+
+/*
+ * Replaces the data served with `fixture`, a spec or a Fixture.
+ */
+MockMahi.prototype.load = function load(fixture) {
+    var self = this;
+    self.fixture = fixture instanceof Fixture ? fixture : new Fixture(fixture);
+};
+
+
+/*
+ * Makes requests for `route` fail. `route` is as reported in metrics (e.g.
+ * "/accounts/:uuid", "/aws-verify"), or "*" for every route.
+ *
+ * statusCode: (optional) default 500
+ * restCode: (optional) default "InternalError"
+ * message: (optional)
+ * times: (optional) number of requests to fail. default: until clearFailures()
+ */
+MockMahi.prototype.fail = function fail(route, opts) {
+    assert.string(route, 'route');
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalNumber(opts.statusCode, 'opts.statusCode');
+    assert.optionalString(opts.restCode, 'opts.restCode');
+    assert.optionalString(opts.message, 'opts.message');
+    assert.optionalNumber(opts.times, 'opts.times');
+
+    var self = this;
+    self.failures[route] = {
+        statusCode: opts.statusCode || 500,
+        restCode: opts.restCode || 'InternalError',
+        message: opts.message || 'injected failure',
+        times: opts.times === undefined ? Infinity : opts.times
+    };
+};
+
+
+MockMahi.prototype.clearFailures = function clearFailures() {
+    var self = this;
+    self.failures = {};
+};
+
+
+/*
+ * Returns the error injected for a request to `route`, if any.
+ */
+MockMahi.prototype._injected = function _injected(route) {
+    var self = this;
+    var key = self.failures[route] ? route : '*';
+    var failure = self.failures[key];
+    if (!failure) {
+        return (undefined);
+    }
+    if (--failure.times <= 0) {
+        delete self.failures[key];
+    }
+    return (new restify.RestError({
+        restCode: failure.restCode,
+        statusCode: failure.statusCode,
+        message: failure.message
+    }));
+};
+
+
+MockMahi.prototype._getAccount = function _getAccount(req, res, next) {
+    var self = this;
+    var info = self.fixture.accountByLogin(req.params.login);
+    if (!info) {
+        next(notFound('AccountDoesNotExist',
+            sprintf('account %s does not exist', req.params.login)));
+        return;
+    }
+    res.send(info);
+    next();
+};
+
+
+MockMahi.prototype._getAccountById = function _getAccountById(req, res,
+    next) {
+
+    var self = this;
+    var info = self.fixture.accountByUuid(req.params.uuid);
+    if (!info) {
+        next(notFound('AccountIdDoesNotExist',
+            sprintf('account %s does not exist', req.params.uuid)));
+        return;
+    }
+    res.send(info);
+    next();
+};
+
+
+MockMahi.prototype._getUser = function _getUser(req, res, next) {
+    var self = this;
+    var account = self.fixture.accountByLogin(req.params.account);
+    if (!account) {
+        next(notFound('AccountDoesNotExist',
+            sprintf('account %s does not exist', req.params.account)));
+        return;
+    }
+
+    var info = self.fixture.userByLogin(req.params.account, req.params.login);
+    if (!info) {
+        if (req.params.fallback === 'true') {
+            res.send(account);
+            next();
+            return;
+        }
+        next(notFound('UserDoesNotExist',
+            sprintf('user %s does not exist in account %s',
+                req.params.login, req.params.account)));
+        return;
+    }
+    res.send(info);
+    next();
+};
+
+
+MockMahi.prototype._getUserById = function _getUserById(req, res, next) {
+    var self = this;
+    var info = self.fixture.userByUuid(req.params.uuid);
+    if (!info) {
+        next(notFound('UserIdDoesNotExist',
+            sprintf('user %s does not exist', req.params.uuid)));
+        return;
+    }
+    res.send(info);
+    next();
+};
+
+
+MockMahi.prototype._getNames = function _getNames(req, res, next) {
+    var self = this;
+    var names = {};
+    asArray(req.params.uuid).forEach(function (uuid) {
+        var name = self.fixture.nameOf(uuid);
+        if (name !== undefined) {
+            names[uuid] = name;
+        }
+    });
+    res.send(names);
+    next();
+};
+
+
+MockMahi.prototype._getUuids = function _getUuids(req, res, next) {
+    var self = this;
+    var fixture = self.fixture;
+    var info = fixture.accountByLogin(req.params.account);
+    if (!info) {
+        next(notFound('AccountDoesNotExist',
+            sprintf('account %s does not exist', req.params.account)));
+        return;
+    }
+
+    var candidates = {};
+    if (req.params.type === 'user') {
+        candidates = fixture.users;
+    } else if (req.params.type === 'role') {
+        candidates = fixture.roles;
+    }
+
+    var uuids = {};
+    asArray(req.params.name).forEach(function (name) {
+        Object.keys(candidates).forEach(function (uuid) {
+            var obj = candidates[uuid];
+            if (obj.account === info.account.uuid &&
+                (obj.login || obj.name) === name) {
+
+                uuids[name] = uuid;
+            }
+        });
+    });
+
+    res.send({
+        account: info.account.uuid,
+        uuids: uuids
+    });
+    next();
+};
+
+
+MockMahi.prototype._getLookup = function _getLookup(req, res, next) {
+    var self = this;
+    var table = self.fixture.lookup();
+    var etag = '"' + crypto.createHash('sha1')
+        .update(JSON.stringify(table)).digest('hex') + '"';
+
+    res.header('ETag', etag);
+    if (req.headers['if-none-match'] === etag) {
+        res.send(304);
+    } else {
+        res.send(table);
+    }
+    next();
+};
+
+
+MockMahi.prototype._getAccessKey = function _getAccessKey(req, res, next) {
+    var self = this;
+    var id = req.params.accessKeyId;
+    var key = self.fixture.accessKeys[id];
+    if (!key) {
+        next(new errors.AccessKeyNotFoundError(id));
+        return;
+    }
+
+    var principal = key.principal;
+    var account = self.fixture.accounts[principal.account || principal.uuid];
+    var info = {
+        type: principal.type,
+        uuid: principal.uuid,
+        login: principal.login,
+        accesskeys: Object.keys(self.fixture.accessKeys).filter(function (k) {
+            return (self.fixture.accessKeys[k].principal === principal);
+        }),
+        approved_for_provisioning: account.approved_for_provisioning
+    };
+    if (principal.type === 'user') {
+        info.account = principal.account;
+    }
+    res.send(info);
+    next();
+};
+
+
+MockMahi.prototype._getSigningKey = function _getSigningKey(req, res, next) {
+    var self = this;
+    var id = req.params.accessKeyId;
+    var key = self.fixture.accessKeys[id];
+    if (!key) {
+        next(new errors.AccessKeyNotFoundError(id));
+        return;
+    }
+
+    var missing = ['date', 'region', 'service'].filter(function (p) {
+        return (typeof (req.params[p]) !== 'string' || !req.params[p]);
+    });
+    if (missing.length) {
+        next(new restify.MissingParameterError(
+            missing.join(', ') + ' required'));
+        return;
+    }
+
+    res.send({
+        userUuid: key.principal.uuid,
+        signingKey: sigv4.deriveSigningKey(key.secret, req.params.date,
+            req.params.region, req.params.service).toString('hex')
+    });
+    next();
+};
+
+
+MockMahi.prototype._verifySigV4 = function _verifySigV4(req, res, next) {
+    var self = this;
+    var request = {
+        method: req.params.method,
+        url: req.params.url,
+        headers: req.headers
+    };
+
+    var parsed;
+    try {
+        parsed = sigv4.parseRequest(request, self.maxSigV4SkewMs);
+    } catch (e) {
+        next(e);
+        return;
+    }
+
+    var key = self.fixture.accessKeys[parsed.accessKeyId];
+    if (!key) {
+        next(new errors.AccessKeyNotFoundError(parsed.accessKeyId));
+        return;
+    }
+
+    var signingKey = sigv4.deriveSigningKey(key.secret, parsed.date,
+        parsed.region, parsed.service);
+    if (!sigv4.verify(request, parsed, signingKey)) {
+        next(new errors.InvalidSignatureError());
+        return;
+    }
+
+    res.send({
+        valid: true,
+        accessKeyId: parsed.accessKeyId,
+        userUuid: key.principal.uuid
+    });
+    next();
+};
+
+
+
+///--- Exports
+
+module.exports = {
+    Fixture: Fixture,
+    MockMahi: MockMahi,
+    createFixture: function (spec) {
+        return (new Fixture(spec));
+    },
+    createServer: function (opts) {
+        return (new MockMahi(opts));
+    }
+};
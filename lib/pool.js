@@ -0,0 +1,428 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * A set of mahi replicas, each with its own restify JSON client, that tracks
+ * the health of each replica and routes requests around unhealthy ones.
+ * Requests that fail are retried with jittered exponential backoff, and once
+ * too many requests in a row have failed, a circuit breaker fails every
+ * request immediately for a while rather than queueing them against a mahi
+ * that isn't answering.
+ */
+
+var assert = require('assert-plus');
+var errors = require('./errors.js');
+var EventEmitter = require('events').EventEmitter;
+var restify = require('restify');
+var util = require('util');
+
+
+///--- Globals
+
+/* weight given to the latest sample in each endpoint's average latency */
+var LATENCY_WEIGHT = 0.3;
+
+
+
+///--- Helpers
+
+/*
+ * Network errors and 5xx responses count against an endpoint. Anything else
+ * (a 404 for an unknown account, say) means the endpoint is working fine.
+ */
+function isEndpointFailure(err) {
+    return (!err.statusCode || err.statusCode >= 500);
+}
+
+
+
+///--- API
+
+/*
+ * urls: array of mahi server URLs
+ * agent: (optional) http agent for the restify clients
+ * log: (optional) bunyan logger
+ * backoffMs: (optional) how long an endpoint is avoided after its first
+ *      consecutive failure. Doubles with each further failure. default 1000
+ * maxBackoffMs: (optional) upper bound on the backoff. default 30000
+ * connectTimeout: (optional) ms to wait for a connection. default: none
+ * requestTimeout: (optional) ms to wait for a response once connected.
+ *      default: none
+ * retries: (optional) number of times a GET is retried once every endpoint
+ *      has failed it. If set, the restify clients' own retries of failed
+ *      connections are turned off. default 0
+ * retryDelayMs: (optional) delay before the first retry, doubling for each
+ *      further retry. Each delay is jittered by up to half. default 100
+ * maxRetryDelayMs: (optional) upper bound on the retry delay. default 2000
+ * breakerThreshold: (optional) number of consecutive failed requests (after
+ *      retries) that opens the circuit breaker. 0 disables the breaker.
+ *      default 0
+ * breakerResetMs: (optional) how long the circuit breaker stays open before
+ *      letting a single request through to test mahi. default 10000
+ *
+ * Emits "request" with {endpoint, method, path, statusCode, err, latency}
+ * after each attempt at a request, including each retry.
+ */
+function EndpointPool(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfString(opts.urls, 'opts.urls');
+    assert.ok(opts.urls.length > 0, 'opts.urls must not be empty');
+    assert.optionalObject(opts.agent, 'opts.agent');
+    assert.optionalObject(opts.log, 'opts.log');
+    assert.optionalNumber(opts.backoffMs, 'opts.backoffMs');
+    assert.optionalNumber(opts.maxBackoffMs, 'opts.maxBackoffMs');
+    assert.optionalNumber(opts.connectTimeout, 'opts.connectTimeout');
+    assert.optionalNumber(opts.requestTimeout, 'opts.requestTimeout');
+    assert.optionalNumber(opts.retries, 'opts.retries');
+    assert.optionalNumber(opts.retryDelayMs, 'opts.retryDelayMs');
+    assert.optionalNumber(opts.maxRetryDelayMs, 'opts.maxRetryDelayMs');
+    assert.optionalNumber(opts.breakerThreshold, 'opts.breakerThreshold');
+    assert.optionalNumber(opts.breakerResetMs, 'opts.breakerResetMs');
+
+    var self = this;
+
+    EventEmitter.call(self);
+
+    self.log = opts.log;
+    self.backoffMs = opts.backoffMs || 1000;
+    self.maxBackoffMs = opts.maxBackoffMs || 30000;
+    self.connectTimeout = opts.connectTimeout;
+    self.requestTimeout = opts.requestTimeout;
+    self.retries = opts.retries || 0;
+    self.retryDelayMs = opts.retryDelayMs || 100;
+    self.maxRetryDelayMs = opts.maxRetryDelayMs || 2000;
+
+    self.breaker = {
+        threshold: opts.breakerThreshold || 0,
+        resetMs: opts.breakerResetMs || 10000,
+        failures: 0,
+        openUntil: 0,
+        // when the request let through to probe an open breaker was sent
+        probeStarted: 0
+    };
+
+    self.endpoints = opts.urls.map(function (url) {
+        var clientOpts = {
+            url: url,
+            agent: opts.agent,
+            connectTimeout: self.connectTimeout,
+            requestTimeout: self.requestTimeout
+        };
+        /* retries are then handled here, across endpoints, not by restify */
+        if (opts.retries !== undefined) {
+            clientOpts.retry = false;
+        }
+        if (opts.log) {
+            clientOpts.log = opts.log;
+        }
+        return ({
+            url: url,
+            client: restify.createJsonClient(clientOpts),
+            failures: 0,
+            latency: 0,
+            unhealthyUntil: 0
+        });
+    });
+}
+util.inherits(EndpointPool, EventEmitter);
+
+
+/*
+ * Returns the endpoints in the order they should be tried: healthy endpoints
+ * first, lowest average latency first, then unhealthy ones, those whose
+ * backoff ends soonest first.
+ */
+EndpointPool.prototype.ordered = function ordered() {
+    var now = Date.now();
+
+    return (this.endpoints.slice().sort(function (a, b) {
+        var aHealthy = a.unhealthyUntil <= now;
+        var bHealthy = b.unhealthyUntil <= now;
+        if (aHealthy !== bHealthy) {
+            return (aHealthy ? -1 : 1);
+        }
+        if (!aHealthy) {
+            return (a.unhealthyUntil - b.unhealthyUntil);
+        }
+        return (a.latency - b.latency);
+    }));
+};
+
+
+/*
+ * Records the outcome of a request to `endpoint` that took `ms`.
+ */
+EndpointPool.prototype.record = function record(endpoint, err, ms) {
+    var self = this;
+
+    if (err && isEndpointFailure(err)) {
+        endpoint.failures++;
+        var backoff = Math.min(self.maxBackoffMs,
+            self.backoffMs * Math.pow(2, endpoint.failures - 1));
+        endpoint.unhealthyUntil = Date.now() + backoff;
+        if (self.log) {
+            self.log.warn({
+                err: err,
+                url: endpoint.url,
+                failures: endpoint.failures,
+                backoffMs: backoff
+            }, 'mahi endpoint marked unhealthy');
+        }
+        return;
+    }
+
+    if (endpoint.failures > 0 && self.log) {
+        self.log.info({
+            url: endpoint.url,
+            failures: endpoint.failures
+        }, 'mahi endpoint recovered');
+    }
+    endpoint.failures = 0;
+    endpoint.unhealthyUntil = 0;
+    endpoint.latency = endpoint.latency ?
+        LATENCY_WEIGHT * ms + (1 - LATENCY_WEIGHT) * endpoint.latency : ms;
+};
+
+
+/*
+ * Sends a request with `method` ("get" or "post") to a single endpoint.
+ * `args` are the restify client arguments up to (not including) the
+ * callback.
+ */
+EndpointPool.prototype.send = function send(endpoint, method, args, cb) {
+    var self = this;
+    var start = Date.now();
+
+    endpoint.client[method].apply(endpoint.client, args.concat(
+        function (err, req, res, obj) {
+            var latency = Date.now() - start;
+            self.record(endpoint, err, latency);
+            self.emit('request', {
+                endpoint: endpoint.url,
+                method: method,
+                path: args[0].path,
+                statusCode: (res && res.statusCode) || (err && err.statusCode),
+                err: err,
+                latency: latency
+            });
+            cb(err, req, res, obj);
+        }));
+};
+
+
+/*
+ * Returns null if a request may be sent, or a CircuitOpenError if the circuit
+ * breaker is open. Once the breaker has been open for breakerResetMs, a single
+ * request is let through; the breaker closes if it succeeds, and stays open
+ * for another breakerResetMs if it fails. A probe that hasn't finished after
+ * breakerResetMs is given up on, and another request is let through, so that
+ * a request that never returns can't hold the breaker open forever.
+ */
+EndpointPool.prototype.checkBreaker = function checkBreaker() {
+    var breaker = this.breaker;
+    var now = Date.now();
+
+    if (!breaker.openUntil) {
+        return (null);
+    }
+    if (now < breaker.openUntil || (breaker.probeStarted &&
+        now - breaker.probeStarted < breaker.resetMs)) {
+
+        return (new errors.CircuitOpenError());
+    }
+    breaker.probeStarted = now;
+    return (null);
+};
+
+
+/*
+ * Records the final outcome of a request (after any retries) with the circuit
+ * breaker.
+ */
+EndpointPool.prototype.recordBreaker = function recordBreaker(err) {
+    var self = this;
+    var breaker = self.breaker;
+
+    if (!breaker.threshold) {
+        return;
+    }
+
+    if (err && isEndpointFailure(err)) {
+        breaker.failures++;
+        if (breaker.probeStarted || breaker.failures >= breaker.threshold) {
+            breaker.openUntil = Date.now() + breaker.resetMs;
+            if (self.log) {
+                self.log.error({
+                    err: err,
+                    failures: breaker.failures,
+                    resetMs: breaker.resetMs
+                }, 'mahi circuit breaker opened');
+            }
+        }
+        breaker.probeStarted = 0;
+        return;
+    }
+
+    if (breaker.openUntil && self.log) {
+        self.log.info('mahi circuit breaker closed');
+    }
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+    breaker.probeStarted = 0;
+};
+
+
+/*
+ * Delay before retry number `n` (from 0): exponential, capped, and jittered so
+ * that clients that failed together don't all retry together.
+ */
+EndpointPool.prototype.retryDelay = function retryDelay(n) {
+    var delay = Math.min(this.maxRetryDelayMs,
+        this.retryDelayMs * Math.pow(2, n));
+    return (delay / 2 + Math.random() * delay / 2);
+};
+
+
+/*
+ * Sends a request with `method` ("get" or "post"), trying the healthiest
+ * endpoint first.
+ *
+ * options: path, or restify request options, plus (optionally):
+ *      connectTimeout, requestTimeout: override the pool's timeouts
+ *      retries: override the pool's number of retries
+ *      idempotent: the request may safely be sent more than once. Always
+ *          true for GETs
+ *      breaker: false to neither check nor count towards the circuit
+ *          breaker, for background requests whose failures shouldn't fail
+ *          other requests
+ * body: request body, for POSTs
+ *
+ * Idempotent requests that fail with a network error (including a timeout) or
+ * a 5xx are retried on each other endpoint in turn. If every endpoint fails,
+ * the whole round is retried up to `retries` times, after a backoff delay.
+ * Other requests are sent once.
+ */
+EndpointPool.prototype.request = function request(method, options, body, cb) {
+    assert.string(method, 'method');
+    assert.func(cb, 'callback');
+
+    var self = this;
+    if (typeof (options) === 'string') {
+        options = {
+            path: options
+        };
+    }
+    assert.object(options, 'options');
+    assert.optionalNumber(options.connectTimeout, 'options.connectTimeout');
+    assert.optionalNumber(options.requestTimeout, 'options.requestTimeout');
+    assert.optionalNumber(options.retries, 'options.retries');
+    assert.optionalBool(options.breaker, 'options.breaker');
+
+    var idempotent = method === 'get' || options.idempotent === true;
+    var retries = !idempotent ? 0 :
+        options.retries === undefined ? self.retries : options.retries;
+    var reqOpts = {
+        path: options.path,
+        headers: options.headers,
+        connectTimeout: options.connectTimeout || self.connectTimeout,
+        requestTimeout: options.requestTimeout || self.requestTimeout
+    };
+    var args = method === 'get' ? [reqOpts] : [reqOpts, body];
+
+    var useBreaker = options.breaker !== false;
+    var breakerErr = useBreaker && self.checkBreaker();
+    if (breakerErr) {
+        setImmediate(function () {
+            cb(breakerErr);
+        });
+        return;
+    }
+
+    var round = 0;
+    var endpoints, i;
+
+    function startRound() {
+        endpoints = self.ordered();
+        if (!idempotent) {
+            endpoints = endpoints.slice(0, 1);
+        }
+        i = 0;
+        attempt();
+    }
+
+    function attempt() {
+        var endpoint = endpoints[i++];
+        self.send(endpoint, method, args, function (err, req, res, obj) {
+            if (!err || !isEndpointFailure(err)) {
+                if (useBreaker) {
+                    self.recordBreaker(err);
+                }
+                cb(err, req, res, obj);
+                return;
+            }
+
+            if (i < endpoints.length) {
+                if (self.log) {
+                    self.log.warn({
+                        err: err,
+                        path: reqOpts.path,
+                        url: endpoint.url,
+                        next: endpoints[i].url
+                    }, 'mahi request failed, retrying on another endpoint');
+                }
+                attempt();
+                return;
+            }
+
+            if (round < retries) {
+                var delay = self.retryDelay(round++);
+                if (self.log) {
+                    self.log.warn({
+                        err: err,
+                        path: reqOpts.path,
+                        attempt: round,
+                        delay: delay
+                    }, 'mahi request failed, retrying');
+                }
+                setTimeout(startRound, delay);
+                return;
+            }
+
+            if (useBreaker) {
+                self.recordBreaker(err);
+            }
+            cb(err, req, res, obj);
+        });
+    }
+
+    startRound();
+};
+
+
+EndpointPool.prototype.get = function get(options, cb) {
+    this.request('get', options, undefined, cb);
+};
+
+
+EndpointPool.prototype.post = function post(options, body, cb) {
+    this.request('post', options, body, cb);
+};
+
+
+EndpointPool.prototype.close = function close() {
+    this.endpoints.forEach(function (endpoint) {
+        endpoint.client.close();
+    });
+};
+
+
+module.exports = {
+    EndpointPool: EndpointPool
+};
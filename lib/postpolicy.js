@@ -0,0 +1,290 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * S3 POST policy helpers, for browser-based uploads using HTML forms. See
+ * "Creating a POST policy" in the Amazon S3 API Reference.
+ */
+
+var assert = require('assert-plus');
+var errors = require('./errors.js');
+var sigv4 = require('./sigv4.js');
+var sprintf = require('util').format;
+
+
+///--- Globals
+
+/*
+ * Form fields that never need a matching policy condition. Fields prefixed
+ * with "x-ignore-" are skipped too.
+ */
+var UNCONDITIONED_FIELDS = [
+    'file',
+    'policy',
+    'x-amz-signature'
+];
+
+
+
+///--- Helpers
+
+/*
+ * Form field names are case insensitive, so all lookups go through lower
+ * cased names.
+ */
+function normalizeFields(fields) {
+    var normalized = {};
+    Object.keys(fields).forEach(function (name) {
+        normalized[name.toLowerCase()] = fields[name];
+    });
+    return (normalized);
+}
+
+
+function fieldName(name) {
+    assert.string(name, 'name');
+    return (name.charAt(0) === '$' ? name.substr(1).toLowerCase() :
+        name.toLowerCase());
+}
+
+
+/* content-length-range bounds are non-negative integers */
+function isLength(n) {
+    return (typeof (n) === 'number' && n >= 0 && Math.floor(n) === n);
+}
+
+
+function conditionFailed(condition, fmt) {
+    var args = Array.prototype.slice.call(arguments, 2);
+    return (new errors.PostPolicyConditionFailedError(condition,
+        sprintf.apply(null, [fmt].concat(args))));
+}
+
+
+
+///--- API
+
+/*
+ * Parses the authentication fields of a POST form:
+ * {
+ *      accessKeyId, date, region, service, scope (see sigv4.parseCredential),
+ *      amzDate: <x-amz-date>,
+ *      policy: <base64 policy document, as signed>,
+ *      signature: <x-amz-signature>
+ * }
+ *
+ * throws InvalidSignatureError if any are missing or malformed
+ */
+function parseFields(fields) {
+    assert.object(fields, 'fields');
+
+    var f = normalizeFields(fields);
+    if (f['x-amz-algorithm'] !== sigv4.ALGORITHM ||
+        typeof (f['x-amz-credential']) !== 'string' ||
+        typeof (f['x-amz-date']) !== 'string' ||
+        typeof (f['x-amz-signature']) !== 'string' ||
+        typeof (f.policy) !== 'string') {
+
+        throw new errors.InvalidSignatureError();
+    }
+
+    var parsed = sigv4.parseCredential(f['x-amz-credential']);
+    if (f['x-amz-date'].substr(0, 8) !== parsed.date) {
+        throw new errors.InvalidSignatureError();
+    }
+
+    parsed.amzDate = f['x-amz-date'];
+    parsed.policy = f.policy;
+    parsed.signature = f['x-amz-signature'];
+    return (parsed);
+}
+
+
+/*
+ * Decodes a base64 policy document into {expiration, conditions}.
+ *
+ * throws PostPolicyConditionFailedError if it is not a valid policy
+ */
+function decodePolicy(policy) {
+    assert.string(policy, 'policy');
+
+    var doc;
+    try {
+        doc = JSON.parse(Buffer.from(policy, 'base64').toString('utf8'));
+    } catch (e) {
+        throw conditionFailed(null, 'Invalid Policy: invalid JSON');
+    }
+
+    if (typeof (doc) !== 'object' || doc === null ||
+        typeof (doc.expiration) !== 'string' ||
+        !Array.isArray(doc.conditions)) {
+
+        throw conditionFailed(null,
+            'Invalid Policy: expiration and conditions are required');
+    }
+
+    return (doc);
+}
+
+
+/*
+ * Returns true if `signature` is the signature of the base64 `policy` under
+ * `signingKey`.
+ */
+function verifySignature(policy, signature, signingKey) {
+    return (sigv4.constantTimeEqual(sigv4.sign(signingKey, policy),
+        signature.toLowerCase()));
+}
+
+
+/*
+ * Checks a decoded policy against the submitted form.
+ *
+ * doc: decoded policy document, from decodePolicy()
+ * fields: the submitted form fields (excluding the file contents)
+ * bucket: the bucket being uploaded to, checked against any "bucket"
+ *      condition
+ * contentLength: (optional) size of the uploaded file in bytes, checked
+ *      against any "content-length-range" condition. Required if the policy
+ *      has one
+ * now: (optional) current time in ms, for testing
+ *
+ * throws RequestExpiredError if the policy has expired
+ * throws PostPolicyConditionFailedError naming the first condition that the
+ *      form does not satisfy, or the first form field that no condition
+ *      covers
+ */
+function checkPolicy(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.doc, 'opts.doc');
+    assert.object(opts.fields, 'opts.fields');
+    assert.string(opts.bucket, 'opts.bucket');
+    assert.optionalNumber(opts.contentLength, 'opts.contentLength');
+    assert.optionalNumber(opts.now, 'opts.now');
+
+    var now = opts.now === undefined ? Date.now() : opts.now;
+    var expiration = new Date(opts.doc.expiration).getTime();
+    if (isNaN(expiration)) {
+        throw conditionFailed(null, 'Invalid Policy: invalid expiration');
+    }
+    if (now > expiration) {
+        throw new errors.RequestExpiredError(
+            'Invalid according to Policy: Policy expired.');
+    }
+
+    var fields = normalizeFields(opts.fields);
+    fields.bucket = opts.bucket;
+    var covered = {};
+
+    opts.doc.conditions.forEach(function (condition) {
+        var name, value;
+
+        if (Array.isArray(condition)) {
+            var op = String(condition[0]).toLowerCase();
+
+            if (op === 'content-length-range') {
+                var min = condition[1];
+                var max = condition[2];
+                if (condition.length !== 3 || !isLength(min) ||
+                    !isLength(max) || min > max) {
+
+                    throw conditionFailed(condition,
+                        'Invalid Policy: invalid condition %j', condition);
+                }
+                /* a size limit that can't be checked is a failed one */
+                if (opts.contentLength === undefined) {
+                    throw conditionFailed(condition,
+                        'Invalid according to Policy: content-length-range ' +
+                        'requires the content length');
+                }
+                if (opts.contentLength < min || opts.contentLength > max) {
+
+                    throw conditionFailed(condition,
+                        'Invalid according to Policy: ' +
+                        'content-length %d is not in the range [%d, %d]',
+                        opts.contentLength, min, max);
+                }
+                return;
+            }
+
+            if (condition.length !== 3 || typeof (condition[1]) !== 'string') {
+                throw conditionFailed(condition,
+                    'Invalid Policy: invalid condition %j', condition);
+            }
+
+            name = fieldName(condition[1]);
+            value = fields[name];
+            covered[name] = true;
+
+            if (value === undefined) {
+                throw conditionFailed(condition,
+                    'Invalid according to Policy: Policy Condition failed: ' +
+                    'missing field "%s"', name);
+            }
+
+            if (op === 'eq') {
+                if (String(value) !== String(condition[2])) {
+                    throw conditionFailed(condition,
+                        'Invalid according to Policy: Policy Condition ' +
+                        'failed: ["eq", "$%s", "%s"]', name, condition[2]);
+                }
+            } else if (op === 'starts-with') {
+                if (String(value).indexOf(String(condition[2])) !== 0) {
+                    throw conditionFailed(condition,
+                        'Invalid according to Policy: Policy Condition ' +
+                        'failed: ["starts-with", "$%s", "%s"]', name,
+                        condition[2]);
+                }
+            } else {
+                throw conditionFailed(condition,
+                    'Invalid Policy: unknown operator "%s"', op);
+            }
+            return;
+        }
+
+        if (typeof (condition) !== 'object' || condition === null ||
+            Object.keys(condition).length !== 1) {
+
+            throw conditionFailed(condition,
+                'Invalid Policy: invalid condition %j', condition);
+        }
+
+        /* {"field": "value"} is shorthand for an exact match */
+        var key = Object.keys(condition)[0];
+        name = fieldName(key);
+        value = fields[name];
+        covered[name] = true;
+
+        if (value === undefined || String(value) !== String(condition[key])) {
+            throw conditionFailed(condition,
+                'Invalid according to Policy: Policy Condition failed: ' +
+                '["eq", "$%s", "%s"]', name, condition[key]);
+        }
+    });
+
+    Object.keys(fields).forEach(function (name) {
+        if (name === 'bucket' || covered[name] ||
+            UNCONDITIONED_FIELDS.indexOf(name) >= 0 ||
+            name.indexOf('x-ignore-') === 0) {
+
+            return;
+        }
+        throw conditionFailed(null,
+            'Invalid according to Policy: Extra input fields: %s', name);
+    });
+}
+
+
+module.exports = {
+    checkPolicy: checkPolicy,
+    decodePolicy: decodePolicy,
+    parseFields: parseFields,
+    verifySignature: verifySignature
+};
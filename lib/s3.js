@@ -0,0 +1,385 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * Translates S3 API requests into the action, resource and conditions that
+ * MahiClient.prototype.authorize() expects, so that every S3 front end applies
+ * the same policy semantics.
+ *
+ * Actions are named after the resource they act on rather than after each S3
+ * operation, so that a single rule covers every operation that needs the same
+ * access (for example, "CAN putobject" allows PutObject, CopyObject and every
+ * step of a multipart upload):
+ *
+ *      listbuckets         ListBuckets
+ *      getbucket           HeadBucket, GetBucket* (bucket subresources)
+ *      putbucket           CreateBucket, PutBucket*, DeleteBucket* (bucket
+ *                          subresources)
+ *      deletebucket        DeleteBucket
+ *      listbucketobjects   ListObjects, ListObjectsV2, ListMultipartUploads
+ *      getobject           GetObject, HeadObject, GetObject* (object
+ *                          subresources), and the source of CopyObject and
+ *                          UploadPartCopy
+ *      putobject           PutObject, CopyObject, CreateMultipartUpload,
+ *                          UploadPart, UploadPartCopy, CompleteMultipartUpload,
+ *                          AbortMultipartUpload, ListParts, PutObject* and
+ *                          DeleteObject* (object subresources)
+ *      deleteobject        DeleteObject, DeleteObjects (once per key)
+ *
+ * Resource paths take the form
+ *      /<owner>/buckets
+ *      /<owner>/buckets/<bucket>
+ *      /<owner>/buckets/<bucket>/objects/<key>
+ */
+
+var assert = require('assert-plus');
+var sprintf = require('util').format;
+
+
+///--- Globals
+
+var ACTIONS = {
+    LIST_BUCKETS: 'listbuckets',
+    GET_BUCKET: 'getbucket',
+    PUT_BUCKET: 'putbucket',
+    DELETE_BUCKET: 'deletebucket',
+    LIST_BUCKET_OBJECTS: 'listbucketobjects',
+    GET_OBJECT: 'getobject',
+    PUT_OBJECT: 'putobject',
+    DELETE_OBJECT: 'deleteobject'
+};
+
+/*
+ * Query parameters that select a subresource of a bucket or object (as
+ * opposed to ones like "prefix" which only modify the request).
+ */
+var SUBRESOURCES = [
+    'accelerate',
+    'acl',
+    'analytics',
+    'cors',
+    'encryption',
+    'intelligent-tiering',
+    'inventory',
+    'legal-hold',
+    'lifecycle',
+    'location',
+    'logging',
+    'metrics',
+    'notification',
+    'object-lock',
+    'ownershipControls',
+    'policy',
+    'policyStatus',
+    'publicAccessBlock',
+    'replication',
+    'requestPayment',
+    'retention',
+    'tagging',
+    'versioning',
+    'website'
+];
+
+
+
+///--- Helpers
+
+function has(query, name) {
+    return (Object.prototype.hasOwnProperty.call(query, name));
+}
+
+
+function subresource(query) {
+    for (var i = 0; i < SUBRESOURCES.length; i++) {
+        if (has(query, SUBRESOURCES[i])) {
+            return (SUBRESOURCES[i]);
+        }
+    }
+    return (null);
+}
+
+
+/*
+ * Operation name suffix for a subresource, e.g. "legal-hold" -> "LegalHold".
+ */
+function subresourceName(sub) {
+    return (sub.split('-').map(function (word) {
+        return (word.charAt(0).toUpperCase() + word.substr(1));
+    }).join(''));
+}
+
+
+function bucketPath(owner, bucket) {
+    return (sprintf('/%s/buckets/%s', owner, bucket));
+}
+
+
+function objectPath(owner, bucket, key) {
+    return (sprintf('/%s/buckets/%s/objects/%s', owner, bucket, key));
+}
+
+
+
+///--- API
+
+/*
+ * Parses an x-amz-copy-source header ("bucket/key" or "/bucket/key",
+ * URL-encoded, optionally with "?versionId=...") into {bucket, key}, or null
+ * if it is malformed. Callers use the bucket to find the owner of the source,
+ * to pass to translateS3Request() as `copySourceOwner`.
+ */
+function parseCopySource(source) {
+    assert.string(source, 'source');
+
+    var s = source.split('?')[0];
+    try {
+        s = decodeURIComponent(s);
+    } catch (e) {
+        return (null);
+    }
+    if (s.charAt(0) === '/') {
+        s = s.substr(1);
+    }
+    var i = s.indexOf('/');
+    if (i <= 0 || i === s.length - 1) {
+        return (null);
+    }
+    return ({
+        bucket: s.substr(0, i),
+        key: s.substr(i + 1)
+    });
+}
+
+
+/*
+ * Translates an S3 request into authorize() inputs.
+ *
+ * method: HTTP method
+ * owner: login of the account that owns the bucket (the resource owner)
+ * bucket: (optional) bucket name. Omitted for ListBuckets
+ * key: (optional) object key
+ * query: (optional) parsed query string
+ * headers: (optional) request headers, used to recognise CopyObject and
+ *      UploadPartCopy (x-amz-copy-source)
+ * copySourceOwner: login of the account that owns the source bucket of a
+ *      CopyObject or UploadPartCopy (see parseCopySource()). Required for
+ *      those operations, as the source may belong to another account
+ * keys: for DeleteObjects, the keys listed in the request body. Required for
+ *      that operation
+ *
+ * Returns null if the request is not a recognised S3 operation, and otherwise
+ * an object like
+ * {
+ *      operation: <S3 operation name, e.g. "GetObject">,
+ *      action: <authorize() action, e.g. "getobject">,
+ *      resource: {
+ *          path: <resource path>,
+ *          bucket: <bucket>,
+ *          key: <key>
+ *      },
+ *      conditions: {
+ *          method: <method>,
+ *          subresource: <subresource, if any>
+ *      },
+ *      additional: [ {action, owner, resource}, ... ]
+ * }
+ *
+ * `additional` lists other checks the operation needs, each of which should
+ * also pass authorize() with the account `owner` names as the resource owner:
+ * the source object of a copy (owned by copySourceOwner), or each key of a
+ * DeleteObjects request (whose own resource is the bucket). The conditions are
+ * meant to be merged into the caller's own (which supply activeRoles and so
+ * on).
+ *
+ * throws if copySourceOwner or keys is missing for an operation that needs it
+ */
+function translateS3Request(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.method, 'opts.method');
+    assert.string(opts.owner, 'opts.owner');
+    assert.optionalString(opts.bucket, 'opts.bucket');
+    assert.optionalString(opts.key, 'opts.key');
+    assert.optionalObject(opts.query, 'opts.query');
+    assert.optionalObject(opts.headers, 'opts.headers');
+    assert.optionalString(opts.copySourceOwner, 'opts.copySourceOwner');
+    assert.optionalArrayOfString(opts.keys, 'opts.keys');
+
+    var method = opts.method.toUpperCase();
+    var owner = opts.owner;
+    var bucket = opts.bucket || null;
+    var key = opts.key || null;
+    var query = opts.query || {};
+    var headers = opts.headers || {};
+    var sub = subresource(query);
+
+    var result = {
+        operation: null,
+        action: null,
+        resource: {
+            path: null,
+            bucket: bucket,
+            key: key
+        },
+        conditions: {
+            method: method
+        },
+        additional: []
+    };
+    if (sub) {
+        result.conditions.subresource = sub;
+    }
+
+    function set(operation, action, path) {
+        result.operation = operation;
+        result.action = action;
+        result.resource.path = path;
+        return (result);
+    }
+
+    function copySource(operation) {
+        var source = parseCopySource(String(headers['x-amz-copy-source']));
+        if (!source) {
+            return (null);
+        }
+        assert.string(opts.copySourceOwner, 'opts.copySourceOwner');
+        result.additional.push({
+            action: ACTIONS.GET_OBJECT,
+            owner: opts.copySourceOwner,
+            resource: {
+                path: objectPath(opts.copySourceOwner, source.bucket,
+                    source.key),
+                bucket: source.bucket,
+                key: source.key
+            }
+        });
+        return (set(operation, ACTIONS.PUT_OBJECT,
+            objectPath(owner, bucket, key)));
+    }
+
+    if (!bucket) {
+        if (method === 'GET') {
+            return (set('ListBuckets', ACTIONS.LIST_BUCKETS,
+                sprintf('/%s/buckets', owner)));
+        }
+        return (null);
+    }
+
+    var path = bucketPath(owner, bucket);
+
+    if (!key) {
+        if (sub) {
+            if (method === 'GET' || method === 'HEAD') {
+                return (set('GetBucket' + subresourceName(sub),
+                    ACTIONS.GET_BUCKET, path));
+            }
+            if (method === 'PUT' || method === 'DELETE') {
+                return (set((method === 'PUT' ? 'PutBucket' :
+                    'DeleteBucket') + subresourceName(sub), ACTIONS.PUT_BUCKET,
+                    path));
+            }
+            return (null);
+        }
+
+        switch (method) {
+        case 'HEAD':
+            return (set('HeadBucket', ACTIONS.GET_BUCKET, path));
+        case 'GET':
+            if (has(query, 'uploads')) {
+                return (set('ListMultipartUploads',
+                    ACTIONS.LIST_BUCKET_OBJECTS, path));
+            }
+            return (set(query['list-type'] === '2' ? 'ListObjectsV2' :
+                'ListObjects', ACTIONS.LIST_BUCKET_OBJECTS, path));
+        case 'PUT':
+            return (set('CreateBucket', ACTIONS.PUT_BUCKET, path));
+        case 'DELETE':
+            return (set('DeleteBucket', ACTIONS.DELETE_BUCKET, path));
+        case 'POST':
+            if (!has(query, 'delete')) {
+                return (null);
+            }
+            /* the bucket alone is no check of the objects being deleted */
+            assert.arrayOfString(opts.keys, 'opts.keys');
+            opts.keys.forEach(function (k) {
+                result.additional.push({
+                    action: ACTIONS.DELETE_OBJECT,
+                    owner: owner,
+                    resource: {
+                        path: objectPath(owner, bucket, k),
+                        bucket: bucket,
+                        key: k
+                    }
+                });
+            });
+            return (set('DeleteObjects', ACTIONS.DELETE_OBJECT, path));
+        default:
+            return (null);
+        }
+    }
+
+    path = objectPath(owner, bucket, key);
+
+    if (sub) {
+        if (method === 'GET' || method === 'HEAD') {
+            return (set('GetObject' + subresourceName(sub),
+                ACTIONS.GET_OBJECT, path));
+        }
+        if (method === 'PUT' || method === 'DELETE') {
+            return (set((method === 'PUT' ? 'PutObject' : 'DeleteObject') +
+                subresourceName(sub), ACTIONS.PUT_OBJECT, path));
+        }
+        return (null);
+    }
+
+    var upload = has(query, 'uploadId');
+
+    switch (method) {
+    case 'HEAD':
+        return (set('HeadObject', ACTIONS.GET_OBJECT, path));
+    case 'GET':
+        if (upload) {
+            return (set('ListParts', ACTIONS.PUT_OBJECT, path));
+        }
+        return (set('GetObject', ACTIONS.GET_OBJECT, path));
+    case 'PUT':
+        if (upload && has(query, 'partNumber')) {
+            if (headers['x-amz-copy-source']) {
+                return (copySource('UploadPartCopy'));
+            }
+            return (set('UploadPart', ACTIONS.PUT_OBJECT, path));
+        }
+        if (headers['x-amz-copy-source']) {
+            return (copySource('CopyObject'));
+        }
+        return (set('PutObject', ACTIONS.PUT_OBJECT, path));
+    case 'POST':
+        if (has(query, 'uploads')) {
+            return (set('CreateMultipartUpload', ACTIONS.PUT_OBJECT, path));
+        }
+        if (upload) {
+            return (set('CompleteMultipartUpload', ACTIONS.PUT_OBJECT, path));
+        }
+        return (null);
+    case 'DELETE':
+        if (upload) {
+            return (set('AbortMultipartUpload', ACTIONS.PUT_OBJECT, path));
+        }
+        return (set('DeleteObject', ACTIONS.DELETE_OBJECT, path));
+    default:
+        return (null);
+    }
+}
+
+
+module.exports = {
+    ACTIONS: ACTIONS,
+    parseCopySource: parseCopySource,
+    translateS3Request: translateS3Request
+};
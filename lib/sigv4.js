@@ -0,0 +1,565 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * AWS Signature Version 4 helpers, used by MahiClient to verify S3 requests
+ * (header-signed requests and presigned URLs) locally given a signing key
+ * derived by mahi. See
+ * https://docs.aws.amazon.com/IAM/latest/UserGuide/create-signed-request.html
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var errors = require('./errors.js');
+var qs = require('querystring');
+
+
+///--- Globals
+
+var ALGORITHM = 'AWS4-HMAC-SHA256';
+var TERMINATOR = 'aws4_request';
+
+/*
+ * Values of x-amz-content-sha256 that stand in for the payload hash rather
+ * than being one. For the streaming variants, only the seed signature (the
+ * one in the Authorization header) is verified here.
+ */
+var UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+var PAYLOAD_VARIANTS = [
+    UNSIGNED_PAYLOAD,
+    'STREAMING-UNSIGNED-PAYLOAD-TRAILER',
+    'STREAMING-AWS4-HMAC-SHA256-PAYLOAD',
+    'STREAMING-AWS4-HMAC-SHA256-PAYLOAD-TRAILER',
+    'STREAMING-AWS4-ECDSA-P256-SHA256-PAYLOAD',
+    'STREAMING-AWS4-ECDSA-P256-SHA256-PAYLOAD-TRAILER'
+];
+
+var DEFAULT_MAX_SKEW_MS = 15 * 60 * 1000;
+
+/* longest validity AWS allows for a presigned URL, in seconds (7 days) */
+var MAX_PRESIGNED_EXPIRES = 7 * 24 * 60 * 60;
+
+
+
+///--- Helpers
+
+function hmac(key, data) {
+    return (crypto.createHmac('sha256', key).update(data, 'utf8').digest());
+}
+
+
+function sha256(data) {
+    return (crypto.createHash('sha256').update(data, 'utf8').digest('hex'));
+}
+
+
+/*
+ * URI encoding as SigV4 defines it: everything but the RFC 3986 unreserved
+ * characters is percent-encoded, using upper case hex digits.
+ */
+function uriEncode(str) {
+    return (encodeURIComponent(str).replace(/[!'()*]/g, function (c) {
+        return ('%' + c.charCodeAt(0).toString(16).toUpperCase());
+    }));
+}
+
+
+function uriDecode(str) {
+    try {
+        return (decodeURIComponent(str));
+    } catch (e) {
+        return (str);
+    }
+}
+
+
+/*
+ * Compares two hex strings without leaking, through timing, how much of them
+ * matched.
+ */
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length) {
+        return (false);
+    }
+    var diff = 0;
+    for (var i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return (diff === 0);
+}
+
+
+
+///--- API
+
+/*
+ * Parses an "Authorization: AWS4-HMAC-SHA256 ..." header value into
+ * {
+ *      accessKeyId: <access key id>,
+ *      date: <YYYYMMDD from the credential scope>,
+ *      region: <region>,
+ *      service: <service>,
+ *      scope: <date/region/service/aws4_request>,
+ *      signedHeaders: [ <lower case header names> ],
+ *      signature: <hex signature>
+ * }
+ *
+ * throws InvalidSignatureError if the header is malformed
+ */
+function parseAuthorization(header) {
+    assert.string(header, 'header');
+
+    if (header.indexOf(ALGORITHM + ' ') !== 0) {
+        throw new errors.InvalidSignatureError();
+    }
+
+    var params = {};
+    header.substr(ALGORITHM.length + 1).split(',').forEach(function (part) {
+        var i = part.indexOf('=');
+        if (i > 0) {
+            params[part.substr(0, i).trim()] = part.substr(i + 1).trim();
+        }
+    });
+
+    if (!params.Credential || !params.SignedHeaders || !params.Signature) {
+        throw new errors.InvalidSignatureError();
+    }
+
+    var parsed = parseCredential(params.Credential);
+    parsed.signedHeaders = parseSignedHeaders(params.SignedHeaders);
+    parsed.signature = params.Signature;
+    return (parsed);
+}
+
+
+/*
+ * Parses a SignedHeaders list. As in AWS, the host header must be signed, or
+ * a signature could be replayed against another host.
+ *
+ * throws InvalidSignatureError if host is not among the signed headers
+ */
+function parseSignedHeaders(signedHeaders) {
+    var names = signedHeaders.split(';');
+    if (names.indexOf('host') < 0) {
+        throw new errors.InvalidSignatureError();
+    }
+    return (names);
+}
+
+
+/*
+ * Parses a credential of the form
+ * <accessKeyId>/<YYYYMMDD>/<region>/<service>/aws4_request
+ *
+ * throws InvalidSignatureError if the credential is malformed
+ */
+function parseCredential(credential) {
+    assert.string(credential, 'credential');
+
+    var parts = credential.split('/');
+    if (parts.length !== 5 || parts[4] !== TERMINATOR ||
+        !/^\d{8}$/.test(parts[1])) {
+
+        throw new errors.InvalidSignatureError();
+    }
+
+    return ({
+        accessKeyId: parts[0],
+        date: parts[1],
+        region: parts[2],
+        service: parts[3],
+        scope: parts.slice(1).join('/')
+    });
+}
+
+
+/*
+ * Parses an ISO 8601 basic format timestamp (e.g. "20130524T000000Z").
+ * Returns a Date, or null if the timestamp is malformed.
+ */
+function parseAmzDate(str) {
+    var m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(str || '');
+    if (!m) {
+        return (null);
+    }
+    return (new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6])));
+}
+
+
+/*
+ * Formats a Date as an ISO 8601 basic format timestamp.
+ */
+function formatAmzDate(date) {
+    return (date.toISOString().replace(/[:\-]|\.\d{3}/g, ''));
+}
+
+
+/*
+ * Builds the canonical URI for `path` (the request URL without its query
+ * string). S3 signs the path as sent, encoded once; every other service
+ * encodes each path segment a second time.
+ */
+function canonicalUri(path, service) {
+    if (!path) {
+        return ('/');
+    }
+    return (path.split('/').map(function (segment) {
+        var encoded = uriEncode(uriDecode(segment));
+        return (service === 's3' ? encoded : uriEncode(encoded));
+    }).join('/'));
+}
+
+
+/*
+ * Builds the canonical query string for the raw `query` string, leaving out
+ * any parameter named in `exclude`.
+ */
+function canonicalQuery(query, exclude) {
+    if (!query) {
+        return ('');
+    }
+    exclude = exclude || [];
+
+    var pairs = [];
+    query.split('&').forEach(function (param) {
+        if (!param) {
+            return;
+        }
+        var i = param.indexOf('=');
+        var key = uriDecode(i < 0 ? param : param.substr(0, i));
+        var value = i < 0 ? '' : uriDecode(param.substr(i + 1));
+        if (exclude.indexOf(key) >= 0) {
+            return;
+        }
+        pairs.push([uriEncode(key), uriEncode(value)]);
+    });
+
+    pairs.sort(function (a, b) {
+        if (a[0] !== b[0]) {
+            return (a[0] < b[0] ? -1 : 1);
+        }
+        return (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+    });
+
+    return (pairs.map(function (p) {
+        return (p[0] + '=' + p[1]);
+    }).join('&'));
+}
+
+
+/*
+ * Builds the canonical headers block for the named headers. Node has already
+ * lower cased header names; values are trimmed and runs of spaces collapsed.
+ *
+ * throws InvalidSignatureError if a signed header is missing
+ */
+function canonicalHeaders(headers, signedHeaders) {
+    return (signedHeaders.map(function (name) {
+        var value = headers[name];
+        if (value === undefined) {
+            throw new errors.InvalidSignatureError();
+        }
+        if (Array.isArray(value)) {
+            value = value.join(',');
+        }
+        return (name + ':' + String(value).trim().replace(/\s+/g, ' ') + '\n');
+    }).join(''));
+}
+
+
+/*
+ * Builds the canonical request.
+ *
+ * opts.method: HTTP method
+ * opts.url: request URL (path and query string, as sent)
+ * opts.headers: request headers (lower case names)
+ * opts.signedHeaders: array of signed header names
+ * opts.service: the service from the credential scope
+ * opts.payloadHash: the hashed payload, or one of the unsigned variants
+ * opts.excludeQuery: (optional) query parameters to leave out
+ */
+function canonicalRequest(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.method, 'opts.method');
+    assert.string(opts.url, 'opts.url');
+    assert.object(opts.headers, 'opts.headers');
+    assert.arrayOfString(opts.signedHeaders, 'opts.signedHeaders');
+    assert.string(opts.service, 'opts.service');
+    assert.string(opts.payloadHash, 'opts.payloadHash');
+    assert.optionalArrayOfString(opts.excludeQuery, 'opts.excludeQuery');
+
+    var i = opts.url.indexOf('?');
+    var path = i < 0 ? opts.url : opts.url.substr(0, i);
+    var query = i < 0 ? '' : opts.url.substr(i + 1);
+
+    return ([
+        opts.method.toUpperCase(),
+        canonicalUri(path, opts.service),
+        canonicalQuery(query, opts.excludeQuery),
+        canonicalHeaders(opts.headers, opts.signedHeaders),
+        opts.signedHeaders.join(';'),
+        opts.payloadHash
+    ].join('\n'));
+}
+
+
+/*
+ * Builds the string to sign from the request timestamp (ISO 8601 basic
+ * format), the credential scope and the canonical request.
+ */
+function stringToSign(amzDate, scope, canonical) {
+    return ([
+        ALGORITHM,
+        amzDate,
+        scope,
+        sha256(canonical)
+    ].join('\n'));
+}
+
+
+/*
+ * Derives the signing key for a secret access key, date (YYYYMMDD), region
+ * and service. Returns a Buffer. The client never needs this itself, as mahi
+ * hands out derived keys rather than secrets, but it is useful for tests and
+ * for tools that sign requests.
+ */
+function deriveSigningKey(secret, date, region, service) {
+    var kDate = hmac('AWS4' + secret, date);
+    var kRegion = hmac(kDate, region);
+    var kService = hmac(kRegion, service);
+    return (hmac(kService, TERMINATOR));
+}
+
+
+/*
+ * Signs `str` (a string to sign or a POST policy) with a derived signing key
+ * and returns the signature as hex.
+ */
+function sign(signingKey, str) {
+    return (crypto.createHmac('sha256', signingKey).update(str, 'utf8')
+        .digest('hex'));
+}
+
+
+/*
+ * Returns true if `request` is signed with query string parameters (a
+ * presigned URL) rather than an Authorization header.
+ */
+function isPresigned(request) {
+    assert.object(request, 'request');
+
+    var headers = request.headers || {};
+    if (headers.authorization) {
+        return (false);
+    }
+    var query = parseQuery(request.url);
+    return (query['X-Amz-Algorithm'] !== undefined ||
+        query['X-Amz-Signature'] !== undefined);
+}
+
+
+function parseQuery(url) {
+    var i = (url || '').indexOf('?');
+    return (i < 0 ? {} : qs.parse(url.substr(i + 1)));
+}
+
+
+function checkPayloadHash(payloadHash) {
+    if (PAYLOAD_VARIANTS.indexOf(payloadHash) < 0 &&
+        !/^[0-9a-f]{64}$/.test(payloadHash)) {
+
+        throw new errors.InvalidSignatureError();
+    }
+}
+
+
+/*
+ * Parses the authentication information out of a signed request and checks
+ * the request time, without checking the signature itself (which needs the
+ * signing key, see verify()). Both header-signed requests and presigned URLs
+ * are handled.
+ *
+ * The payload hash is taken from x-amz-content-sha256 as given. As in S3, a
+ * header-signed request must send it and sign it. It is only checked to be a
+ * hash or one of the unsigned payload variants: it is never
+ * compared with the body, which callers that need the payload to be signed
+ * must hash and compare themselves.
+ *
+ * request: {method, url, headers}
+ * maxSkewMs: (optional) allowed difference between the request time and now
+ * now: (optional) current time in ms, for testing
+ *
+ * Returns the parsed credential (see parseAuthorization()) along with:
+ * {
+ *      presigned: true/false,
+ *      amzDate: <request time, ISO 8601 basic format>,
+ *      payloadHash: <hashed payload or unsigned variant>,
+ *      excludeQuery: [ <query parameters that are not signed> ],
+ *      expires: <expiry time in ms, presigned URLs only>
+ * }
+ *
+ * throws InvalidSignatureError if the request is not properly signed
+ * throws RequestTimeTooSkewedError if the request time is too far from now
+ * throws RequestExpiredError if a presigned URL has expired
+ */
+function parseRequest(request, maxSkewMs, now) {
+    assert.object(request, 'request');
+    assert.object(request.headers, 'request.headers');
+    assert.optionalNumber(maxSkewMs, 'maxSkewMs');
+    assert.optionalNumber(now, 'now');
+
+    if (maxSkewMs === undefined) {
+        maxSkewMs = DEFAULT_MAX_SKEW_MS;
+    }
+    if (now === undefined) {
+        now = Date.now();
+    }
+
+    if (isPresigned(request)) {
+        return (parsePresigned(request, maxSkewMs, now));
+    }
+
+    var headers = request.headers;
+    var parsed = parseAuthorization(headers.authorization || '');
+
+    var amzDate = headers['x-amz-date'];
+    var time = parseAmzDate(amzDate);
+    if (!time && !amzDate && headers.date) {
+        time = new Date(headers.date);
+        if (isNaN(time.getTime())) {
+            time = null;
+        } else {
+            amzDate = formatAmzDate(time);
+        }
+    }
+    if (!time || amzDate.substr(0, 8) !== parsed.date) {
+        throw new errors.InvalidSignatureError();
+    }
+
+    if (Math.abs(now - time.getTime()) > maxSkewMs) {
+        throw new errors.RequestTimeTooSkewedError();
+    }
+
+    var payloadHash = headers['x-amz-content-sha256'];
+    if (!payloadHash ||
+        parsed.signedHeaders.indexOf('x-amz-content-sha256') < 0) {
+
+        throw new errors.InvalidSignatureError();
+    }
+    checkPayloadHash(payloadHash);
+
+    parsed.presigned = false;
+    parsed.amzDate = amzDate;
+    parsed.payloadHash = payloadHash;
+    parsed.excludeQuery = [];
+    return (parsed);
+}
+
+
+/*
+ * See parseRequest(). A presigned URL is valid from its X-Amz-Date (give or
+ * take maxSkewMs) until X-Amz-Expires seconds after it.
+ */
+function parsePresigned(request, maxSkewMs, now) {
+    var query = parseQuery(request.url);
+
+    function param(name) {
+        var value = query[name];
+        if (typeof (value) !== 'string' || !value) {
+            throw new errors.InvalidSignatureError();
+        }
+        return (value);
+    }
+
+    if (param('X-Amz-Algorithm') !== ALGORITHM) {
+        throw new errors.InvalidSignatureError();
+    }
+
+    var parsed = parseCredential(param('X-Amz-Credential'));
+    parsed.signedHeaders = parseSignedHeaders(param('X-Amz-SignedHeaders'));
+    parsed.signature = param('X-Amz-Signature');
+
+    var amzDate = param('X-Amz-Date');
+    var time = parseAmzDate(amzDate);
+    if (!time || amzDate.substr(0, 8) !== parsed.date) {
+        throw new errors.InvalidSignatureError();
+    }
+
+    var expiresIn = param('X-Amz-Expires');
+    if (!/^\d+$/.test(expiresIn) || +expiresIn < 1 ||
+        +expiresIn > MAX_PRESIGNED_EXPIRES) {
+
+        throw new errors.InvalidSignatureError();
+    }
+
+    if (time.getTime() - now > maxSkewMs) {
+        throw new errors.RequestTimeTooSkewedError();
+    }
+    var expires = time.getTime() + expiresIn * 1000;
+    if (now > expires) {
+        throw new errors.RequestExpiredError();
+    }
+
+    var payloadHash = request.headers['x-amz-content-sha256'] ||
+        UNSIGNED_PAYLOAD;
+    checkPayloadHash(payloadHash);
+
+    parsed.presigned = true;
+    parsed.amzDate = amzDate;
+    parsed.payloadHash = payloadHash;
+    parsed.excludeQuery = ['X-Amz-Signature'];
+    parsed.expires = expires;
+    return (parsed);
+}
+
+
+/*
+ * Verifies the signature of a request that has already been parsed by
+ * parseRequest(), given the signing key for its credential scope.
+ * Returns true if the signature matches.
+ */
+function verify(request, parsed, signingKey) {
+    assert.object(request, 'request');
+    assert.object(parsed, 'parsed');
+
+    var canonical = canonicalRequest({
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        signedHeaders: parsed.signedHeaders,
+        service: parsed.service,
+        payloadHash: parsed.payloadHash,
+        excludeQuery: parsed.excludeQuery
+    });
+    var expected = sign(signingKey,
+        stringToSign(parsed.amzDate, parsed.scope, canonical));
+
+    return (constantTimeEqual(expected, parsed.signature.toLowerCase()));
+}
+
+
+module.exports = {
+    ALGORITHM: ALGORITHM,
+    UNSIGNED_PAYLOAD: UNSIGNED_PAYLOAD,
+    PAYLOAD_VARIANTS: PAYLOAD_VARIANTS,
+    DEFAULT_MAX_SKEW_MS: DEFAULT_MAX_SKEW_MS,
+    canonicalRequest: canonicalRequest,
+    constantTimeEqual: constantTimeEqual,
+    deriveSigningKey: deriveSigningKey,
+    formatAmzDate: formatAmzDate,
+    isPresigned: isPresigned,
+    parseAmzDate: parseAmzDate,
+    parseAuthorization: parseAuthorization,
+    parseCredential: parseCredential,
+    parseRequest: parseRequest,
+    sign: sign,
+    stringToSign: stringToSign,
+    verify: verify
+};
@@ -0,0 +1,296 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * Simulates authorize() decisions, for the mahi-simulate command. A case
+ * describes one request:
+ *
+ *      {
+ *          name: <label for reports>,
+ *          principal: <principal>,
+ *          owner: <principal, default: the principal's account>,
+ *          action: <action>,
+ *          resource: <resource path>,
+ *          roleTags: [ <role uuid or name>, ... ],
+ *          roles: [ <role uuid or name>, ... ],
+ *          conditions: { ... },
+ *          expect: "allow" or the restCode of the expected denial
+ *      }
+ *
+ * Principals are either the object mahi returns for them ({account, user,
+ * roles}), the path of a JSON file holding one, or "<account>" or
+ * "<account>/<user>" to be looked up in a fixture (see mock.js) or mahi.
+ * `roles` are the roles to assume (see MahiClient.prototype.assumeRoles()),
+ * by default the user's default roles. Role tags may be given by name if the
+ * principal is a member of the role.
+ *
+ * A matrix is {cases: [ <case>, ... ]}. Running one reports, for each case,
+ * whether the outcome ("allow" or a restCode) differs from `expect`.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var sprintf = require('util').format;
+
+
+
+///--- Helpers
+
+/*
+ * Resolves a principal spec (see above).
+ *
+ * cb: callback in the form fn(err, principal)
+ */
+function resolvePrincipal(opts, spec, cb) {
+    if (typeof (spec) === 'object' && spec !== null) {
+        setImmediate(cb, null, spec);
+        return;
+    }
+    assert.string(spec, 'principal');
+
+    if (/\.json$/.test(spec)) {
+        fs.readFile(spec, 'utf8', function (err, data) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            var principal;
+            try {
+                principal = JSON.parse(data);
+            } catch (e) {
+                cb(new Error(sprintf('%s: %s', spec, e.message)));
+                return;
+            }
+            cb(null, principal);
+        });
+        return;
+    }
+
+    var parts = spec.split('/');
+    if (!opts.fixture && !opts.lookup) {
+        setImmediate(cb, new Error(sprintf('%s: principals must be JSON ' +
+            'files unless there is a fixture or mahi to look them up in',
+            spec)));
+        return;
+    }
+    if (opts.fixture) {
+        var found = parts.length > 1 ?
+            opts.fixture.userByLogin(parts[0], parts[1]) :
+            opts.fixture.accountByLogin(parts[0]);
+        setImmediate(cb, found ? null :
+            new Error(sprintf('%s is not in the fixture', spec)), found);
+        return;
+    }
+
+    if (parts.length > 1) {
+        opts.lookup.getUser(parts[1], parts[0], function (err, info) {
+            cb(err, info);
+        });
+    } else {
+        opts.lookup.getAccount(parts[0], function (err, info) {
+            cb(err, info);
+        });
+    }
+}
+
+
+/*
+ * Role tags given by name are looked up among the principal's roles in the
+ * owner's account. Anything else is taken to be a uuid.
+ */
+function resolveTags(principal, owner, tags) {
+    var roles = principal.roles || {};
+    return (tags.map(function (tag) {
+        var uuids = Object.keys(roles).filter(function (uuid) {
+            return (roles[uuid].name === tag &&
+                roles[uuid].account === owner.account.uuid);
+        });
+        return (uuids.length ? uuids[0] : tag);
+    }));
+}
+
+
+function outcome(result) {
+    return (result.allowed ? 'allow' : result.error.restCode);
+}
+
+
+
+///--- API
+
+/*
+ * Runs a single case.
+ *
+ * opts.client: MahiClient, created with a typeTable, to run the decision
+ * opts.fixture: (optional) Fixture to look up principals in
+ * opts.lookup: (optional) MahiClient to look up principals in, if there is no
+ *      fixture
+ * c: the case
+ * cb: callback in the form fn(err, result), where result is
+ *      {name, outcome, allowed, error, trace} with error and trace as for
+ *      MahiClient.prototype.explain()
+ *
+ * Errors are for cases that couldn't be run (such as missing principals or
+ * roles that can't be assumed), not denials.
+ */
+function runCase(opts, c, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.client, 'opts.client');
+    assert.optionalObject(opts.fixture, 'opts.fixture');
+    assert.optionalObject(opts.lookup, 'opts.lookup');
+    assert.object(c, 'case');
+    assert.string(c.action, 'case.action');
+    assert.optionalString(c.resource, 'case.resource');
+    assert.optionalArrayOfString(c.roleTags, 'case.roleTags');
+    assert.optionalArrayOfString(c.roles, 'case.roles');
+    assert.optionalObject(c.conditions, 'case.conditions');
+    assert.func(cb, 'callback');
+
+    resolvePrincipal(opts, c.principal, function (err, principal) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        /*
+         * The principal's own account needs no lookup, so that cases with
+         * JSON principals can be run without a fixture or mahi.
+         */
+        var ownerSpec = c.owner || {account: principal.account, roles: {}};
+        resolvePrincipal(opts, ownerSpec, function (oErr, owner) {
+            if (oErr) {
+                cb(oErr);
+                return;
+            }
+
+            var result;
+            try {
+                var conditions = {};
+                Object.keys(c.conditions || {}).forEach(function (k) {
+                    conditions[k] = c.conditions[k];
+                });
+                var active = opts.client.assumeRoles({
+                    principal: principal,
+                    owner: owner,
+                    roles: c.roles
+                });
+                conditions.activeRoles = active.activeRoles;
+                conditions.activeXAcctRoles = active.activeXAcctRoles;
+
+                result = opts.client.explain({
+                    principal: principal,
+                    action: c.action,
+                    resource: {
+                        path: c.resource || '',
+                        roles: resolveTags(principal, owner,
+                            c.roleTags || []),
+                        owner: owner
+                    },
+                    conditions: conditions
+                });
+            } catch (e) {
+                cb(e);
+                return;
+            }
+
+            result.name = c.name;
+            result.outcome = outcome(result);
+            cb(null, result);
+        });
+    });
+}
+
+
+/*
+ * Runs every case of a matrix, one at a time.
+ *
+ * opts: as for runCase()
+ * matrix: {cases: [ <case>, ... ]}
+ * cb: callback in the form fn(err, report), where report is
+ *      {
+ *          results: [ {name, expect, outcome, changed, error, trace}, ... ],
+ *          changed: <number of cases whose outcome isn't `expect`>
+ *      }
+ *      A case that couldn't be run has outcome "error" and its error in
+ *      `error`. Cases without `expect` are never counted as changed.
+ */
+function runMatrix(opts, matrix, cb) {
+    assert.object(matrix, 'matrix');
+    assert.arrayOfObject(matrix.cases, 'matrix.cases');
+    assert.func(cb, 'callback');
+
+    var report = {
+        results: [],
+        changed: 0
+    };
+
+    function next(i) {
+        if (i === matrix.cases.length) {
+            cb(null, report);
+            return;
+        }
+
+        var c = matrix.cases[i];
+
+        function done(err, result) {
+            var entry = {
+                name: c.name || sprintf('case %d', i + 1),
+                expect: c.expect,
+                outcome: err ? 'error' : result.outcome,
+                error: err || (result && result.error),
+                trace: result && result.trace
+            };
+            entry.changed = c.expect !== undefined &&
+                entry.outcome !== c.expect;
+            if (entry.changed) {
+                report.changed++;
+            }
+            report.results.push(entry);
+            next(i + 1);
+        }
+
+        /* a malformed case fails its assertions before anything is run */
+        try {
+            runCase(opts, c, done);
+        } catch (e) {
+            setImmediate(done, e);
+        }
+    }
+    next(0);
+}
+
+
+/*
+ * Returns a readable account of a decision trace (from explain()), one line
+ * per string.
+ */
+function describeTrace(trace) {
+    assert.object(trace, 'trace');
+
+    var lines = [];
+    if (trace.shortCircuit) {
+        lines.push(sprintf('allowed as %s', trace.shortCircuit));
+    }
+    (trace.roles || []).forEach(function (r) {
+        lines.push(sprintf('role %s (%s): %s', r.name || '?', r.uuid,
+            r.status));
+    });
+    (trace.rules || []).forEach(function (r) {
+        lines.push(sprintf('rule "%s" (%s): %s', r.rule, r.selectedBy,
+            r.result ? 'allows' : 'does not allow'));
+    });
+    return (lines);
+}
+
+
+module.exports = {
+    describeTrace: describeTrace,
+    runCase: runCase,
+    runMatrix: runMatrix
+};
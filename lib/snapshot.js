@@ -0,0 +1,198 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * Snapshots of a MahiClient's caches, so that a restarted client can start
+ * with the caches its predecessor had rather than sending every request to
+ * mahi while it warms up.
+ *
+ * A snapshot looks like
+ * {
+ *      version: 1,
+ *      created: <ms since the epoch>,
+ *      caches: {
+ *          <cache name>: [ {k: <key>, v: <value>, e: <expiry, ms>}, ... ],
+ *          ...
+ *      }
+ * }
+ *
+ * with each cache's entries most recently used first. Values are stored as
+ * they are in the cache, so the {value, time} wrappers of the auth and access
+ * key caches keep the time each object was fetched.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+
+
+///--- Globals
+
+var VERSION = 1;
+
+
+
+///--- API
+
+/*
+ * Returns the live entries of an lru-cache as [{k, v, e}], where e is the time
+ * at which the entry expires.
+ *
+ * lru-cache's own dump() reports the expiry of entries that were set with
+ * their own maxAge (as load() sets them), but reports the time that other
+ * entries were set. An entry's expiry is always in the future (expired
+ * entries aren't dumped) and the time it was set is never in the future, so
+ * the two are told apart by comparing them to the current time.
+ */
+function dumpCache(cache) {
+    var now = Date.now();
+
+    return (cache.dump().map(function (hit) {
+        return ({
+            k: hit.k,
+            v: hit.v,
+            e: hit.e > now ? hit.e : hit.e + cache.maxAge
+        });
+    }).filter(function (hit) {
+        return (hit.e > now);
+    }));
+}
+
+
+/*
+ * Adds the unexpired entries from dumpCache() to `cache`, each with the time
+ * it had left to live. Entries already in the cache are newer than the
+ * snapshot, and are left alone. Returns the number of entries added.
+ */
+function loadCache(cache, hits) {
+    assert.arrayOfObject(hits, 'hits');
+
+    var now = Date.now();
+    var count = 0;
+
+    /* oldest first, so that the most recently used end up that way again */
+    for (var i = hits.length - 1; i >= 0; i--) {
+        var hit = hits[i];
+        if (typeof (hit.k) !== 'string' || typeof (hit.e) !== 'number' ||
+            hit.e <= now || cache.peek(hit.k) !== undefined) {
+
+            continue;
+        }
+        cache.set(hit.k, hit.v, hit.e - now);
+        count++;
+    }
+    return (count);
+}
+
+
+/*
+ * Builds a snapshot of `caches`, an object of {<name>: <lru-cache>}.
+ */
+function createSnapshot(caches) {
+    assert.object(caches, 'caches');
+
+    var snapshot = {
+        version: VERSION,
+        created: Date.now(),
+        caches: {}
+    };
+    Object.keys(caches).forEach(function (name) {
+        snapshot.caches[name] = dumpCache(caches[name]);
+    });
+    return (snapshot);
+}
+
+
+/*
+ * Loads a snapshot into `caches`, ignoring caches the snapshot doesn't have
+ * and vice versa. Returns the number of entries loaded.
+ *
+ * throws if the snapshot is malformed or from an unknown version
+ */
+function loadSnapshot(caches, snapshot) {
+    assert.object(caches, 'caches');
+    assert.object(snapshot, 'snapshot');
+    assert.ok(snapshot.version === VERSION,
+        'unsupported snapshot version ' + snapshot.version);
+    assert.object(snapshot.caches, 'snapshot.caches');
+
+    var count = 0;
+    Object.keys(caches).forEach(function (name) {
+        if (snapshot.caches[name]) {
+            count += loadCache(caches[name], snapshot.caches[name]);
+        }
+    });
+    return (count);
+}
+
+
+/*
+ * Writes a snapshot to `path`. The file is written alongside and renamed into
+ * place, so a reader never sees a partial snapshot, and is only readable by
+ * its owner.
+ */
+function writeFile(path, snapshot, cb) {
+    assert.string(path, 'path');
+    assert.object(snapshot, 'snapshot');
+    assert.func(cb, 'callback');
+
+    var tmp = path + '.' + process.pid + '.tmp';
+    fs.writeFile(tmp, JSON.stringify(snapshot), {
+        mode: parseInt('0600', 8)
+    }, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        fs.rename(tmp, path, function (rErr) {
+            if (rErr) {
+                fs.unlink(tmp, function () {
+                    cb(rErr);
+                });
+                return;
+            }
+            cb();
+        });
+    });
+}
+
+
+/*
+ * Reads a snapshot from `path`. Calls back with no snapshot (and no error) if
+ * the file doesn't exist.
+ */
+function readFile(path, cb) {
+    assert.string(path, 'path');
+    assert.func(cb, 'callback');
+
+    fs.readFile(path, 'utf8', function (err, data) {
+        if (err) {
+            cb(err.code === 'ENOENT' ? null : err);
+            return;
+        }
+
+        var snapshot;
+        try {
+            snapshot = JSON.parse(data);
+        } catch (e) {
+            cb(e);
+            return;
+        }
+        cb(null, snapshot);
+    });
+}
+
+
+module.exports = {
+    VERSION: VERSION,
+    createSnapshot: createSnapshot,
+    loadSnapshot: loadSnapshot,
+    readFile: readFile,
+    writeFile: writeFile
+};
@@ -0,0 +1,137 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var http = require('http');
+var mahi = require('..');
+var test = require('tap').test;
+
+var BOB = '3ffc7b4c-66a6-11e3-af09-8752d24e4669';
+
+var server, client;
+var requests = [];
+var verifyResponse;
+
+var REQUEST = {
+    method: 'GET',
+    url: '/bucket/key',
+    headers: {
+        'authorization': 'AWS4-HMAC-SHA256 Credential=AKIAGOOD/20260101/' +
+            'us-east-1/s3/aws4_request, SignedHeaders=host;x-amz-date, ' +
+            'Signature=00',
+        'x-amz-date': '20260101T000000Z'
+    }
+};
+
+/*
+ * Serves a lookup for access key AKIAGOOD and a malformed one for AKIABAD,
+ * and answers /aws-verify with `verifyResponse`.
+ */
+function respond(req, res) {
+    requests.push(req.url);
+
+    var body;
+    if (req.url === '/aws-auth/AKIAGOOD') {
+        body = {
+            type: 'user',
+            uuid: BOB,
+            login: 'bob',
+            account: 'bde5a308-9e5a-11e3-bbf2-1b6f3d02ff6f',
+            accesskeys: ['AKIAGOOD']
+        };
+    } else if (req.url === '/aws-auth/AKIABAD') {
+        body = {type: 'user'};
+    } else {
+        body = verifyResponse;
+    }
+    res.writeHead(200, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+}
+
+function verify(response, cb) {
+    verifyResponse = response;
+    client.verifySigV4(REQUEST, cb);
+}
+
+test('setup', function (t) {
+    server = http.createServer(respond);
+    server.listen(0, '127.0.0.1', function () {
+        client = mahi.createClient({
+            url: 'http://127.0.0.1:' + server.address().port,
+            retries: 0
+        });
+        t.end();
+    });
+});
+
+test('access key lookups are cached', function (t) {
+    requests = [];
+    client.getUserByAccessKey('AKIAGOOD', function (err, info, meta) {
+        t.ifError(err);
+        t.equal(info.uuid, BOB);
+        t.equal(meta.cached, false);
+        client.getUserByAccessKey('AKIAGOOD', function (err2, info2, meta2) {
+            t.ifError(err2);
+            t.equal(meta2.cached, true);
+            t.deepEqual(info2, info);
+            t.deepEqual(requests, ['/aws-auth/AKIAGOOD']);
+            t.end();
+        });
+    });
+});
+
+test('malformed access key lookups are not cached', function (t) {
+    requests = [];
+    client.getUserByAccessKey('AKIABAD', function (err) {
+        t.equal(err.restCode, 'InvalidResponse');
+        client.getUserByAccessKey('AKIABAD', function (err2) {
+            t.equal(err2.restCode, 'InvalidResponse');
+            t.equal(requests.length, 2);
+            t.end();
+        });
+    });
+});
+
+test('verifySigV4 accepts only valid: true', function (t) {
+    verify({
+        valid: 'true',
+        accessKeyId: 'AKIAGOOD',
+        userUuid: BOB
+    }, function (err, result) {
+        t.equal(err.restCode, 'InvalidSignature', 'valid: "true"');
+        t.notOk(result);
+        verify({}, function (err2, result2) {
+            t.equal(err2.restCode, 'InvalidSignature', 'no valid');
+            t.notOk(result2);
+            t.end();
+        });
+    });
+});
+
+test('verifySigV4 rejects incomplete results', function (t) {
+    verify({valid: true}, function (err, result) {
+        t.equal(err.restCode, 'InvalidResponse');
+        t.notOk(result);
+        verify({
+            valid: true,
+            accessKeyId: 'AKIAGOOD',
+            userUuid: BOB
+        }, function (err2, result2) {
+            t.ifError(err2);
+            t.equal(result2.userUuid, BOB);
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (t) {
+    client.close();
+    server.close();
+    t.end();
+});
@@ -0,0 +1,274 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var aperture = require('aperture');
+var errors = require('../lib/errors.js');
+var mahi = require('..');
+var test = require('tap').test;
+
+var BANKS = 'bde5a308-9e5a-11e3-bbf2-1b6f3d02ff6f';
+var OTHER = '5ffc7b4c-66a6-11e3-af09-8752d24e4669';
+
+var OWNER = {
+    account: {
+        uuid: BANKS,
+        login: 'banks',
+        approved_for_provisioning: true
+    },
+    roles: {}
+};
+var BLOCKED = {
+    account: {
+        uuid: OTHER,
+        login: 'other',
+        approved_for_provisioning: false
+    },
+    roles: {}
+};
+var USER = {
+    account: OWNER.account,
+    user: {
+        uuid: '3ffc7b4c-66a6-11e3-af09-8752d24e4669',
+        login: 'bob'
+    },
+    roles: {
+        'r-read': {
+            uuid: 'r-read',
+            name: 'readers',
+            account: BANKS,
+            rules: []
+        }
+    }
+};
+
+var parser = aperture.createParser({
+    types: aperture.types,
+    typeTable: {}
+});
+var WRITER = {
+    account: OWNER.account,
+    user: {
+        uuid: '4ffc7b4c-66a6-11e3-af09-8752d24e4669',
+        login: 'alice'
+    },
+    roles: {
+        'r-write': {
+            uuid: 'r-write',
+            name: 'writers',
+            account: BANKS,
+            rules: [ ['CAN putobject', parser.parse('CAN putobject')] ]
+        }
+    }
+};
+
+var client = mahi.createClient({url: 'http://127.0.0.1:1', typeTable: {}});
+
+function resource(path, owner, tags) {
+    return ({
+        path: path,
+        owner: owner,
+        roles: tags || []
+    });
+}
+
+test('authorizeMany decides each resource', function (t) {
+    var events = [];
+    client.on('authorize', function (e) {
+        events.push(e);
+    });
+
+    var resources = [
+        resource('/banks/stor/a', OWNER, ['r-read']),
+        resource('/banks/stor/b', OWNER),
+        resource('/other/stor/c', BLOCKED, ['r-read'])
+    ];
+    var opts = {
+        principal: USER,
+        action: 'getobject',
+        conditions: {activeRoles: ['r-read']},
+        resources: resources
+    };
+    var results = client.authorizeMany(opts);
+
+    t.deepEqual(results.map(function (r) {
+        return ([r.allowed, r.restCode]);
+    }), [
+        [false, 'RulesEvaluationFailed'],
+        [false, 'NoMatchingRoleTag'],
+        [false, 'AccountBlocked']
+    ]);
+    t.equal(events.length, 3);
+
+    /* the same decisions as authorize() */
+    resources.forEach(function (r, i) {
+        var result = client.explain({
+            principal: USER,
+            action: 'getobject',
+            conditions: opts.conditions,
+            resource: r
+        });
+        t.equal(result.error.restCode, results[i].restCode);
+    });
+    t.end();
+});
+
+test('authorizeMany short circuits and traces', function (t) {
+    var results = client.authorizeMany({
+        principal: OWNER,
+        action: 'putobject',
+        conditions: {activeRoles: ['r-gone']},
+        explain: true,
+        resources: [
+            resource('/banks/stor/a', OWNER),
+            resource('/other/stor/b', BLOCKED)
+        ]
+    });
+    t.equal(results[0].allowed, true);
+    t.equal(results[0].trace.shortCircuit, 'accountOwner');
+    t.equal(results[1].restCode, 'AccountBlocked');
+
+    var invalid = client.authorizeMany({
+        principal: USER,
+        action: 'getobject',
+        conditions: {activeRoles: ['r-gone']},
+        resources: [resource('/banks/stor/a', OWNER)]
+    });
+    t.equal(invalid[0].restCode, 'InvalidRole');
+    t.end();
+});
+
+test('authorizeMany still throws on malformed input', function (t) {
+    t.throws(function () {
+        client.authorizeMany({
+            principal: USER,
+            action: 'getobject',
+            conditions: {activeRoles: []},
+            resources: [ {path: '/banks/stor/a'} ]
+        });
+    });
+    t.end();
+});
+
+test('decisions are cached for the same principal', function (t) {
+    var cached = mahi.createClient({
+        url: 'http://127.0.0.1:1',
+        typeTable: {},
+        maxDecisionCacheAgeMs: 50
+    });
+    var results = [];
+    cached.on('cache', function (e) {
+        if (e.cache === 'decision') {
+            results.push(e.result);
+        }
+    });
+
+    function authorize(principal, explain) {
+        try {
+            return (cached.authorize({
+                principal: principal,
+                action: 'getobject',
+                conditions: {activeRoles: ['r-read']},
+                resource: resource('/banks/stor/a', OWNER, ['r-read']),
+                explain: explain
+            }));
+        } catch (e) {
+            return (e);
+        }
+    }
+
+    var first = authorize(USER);
+    t.equal(first.restCode, 'RulesEvaluationFailed');
+    first.decorated = true;
+    var second = authorize(USER);
+    t.notEqual(second, first, 'a new error for each hit');
+    t.ok(second instanceof errors.RulesEvaluationFailedError);
+    t.equal(second.restCode, 'RulesEvaluationFailed');
+    t.equal(second.statusCode, 403);
+    t.equal(second.message, first.message);
+    t.notOk(second.decorated, 'callers\' changes are not shared');
+
+    /* a refetched principal is a new object, and is decided afresh */
+    var refetched = JSON.parse(JSON.stringify(USER));
+    t.equal(authorize(refetched).restCode, 'RulesEvaluationFailed');
+    t.ok(authorize(USER, true).trace, 'explain is never cached');
+    t.deepEqual(results, ['miss', 'hit', 'miss']);
+
+    setTimeout(function () {
+        authorize(USER);
+        t.equal(results[results.length - 1], 'miss',
+            'cached decisions expire');
+        t.equal(cached.invalidateAll(), 1);
+        cached.close();
+        t.end();
+    }, 100);
+});
+
+test('decisions allowed by rules are cached', function (t) {
+    var cached = mahi.createClient({
+        url: 'http://127.0.0.1:1',
+        typeTable: {},
+        maxDecisionCacheAgeMs: 60000
+    });
+    var results = [];
+    cached.on('cache', function (e) {
+        if (e.cache === 'decision') {
+            results.push(e.result);
+        }
+    });
+
+    function authorize(action) {
+        try {
+            return (cached.authorize({
+                principal: WRITER,
+                action: action,
+                conditions: {activeRoles: ['r-write']},
+                resource: resource('/banks/stor/a', OWNER, ['r-write'])
+            }));
+        } catch (e) {
+            return (e);
+        }
+    }
+
+    t.equal(authorize('putobject'), true);
+    t.equal(authorize('putobject'), true, 'allowed from the cache');
+    t.equal(authorize('getobject').restCode, 'RulesEvaluationFailed');
+    t.equal(authorize('getobject').restCode, 'RulesEvaluationFailed');
+    t.deepEqual(results, ['miss', 'hit', 'miss', 'hit']);
+    t.equal(cached.decisionCache.itemCount, 2);
+    cached.close();
+    t.end();
+});
+
+test('evaluators and role rules are reused', function (t) {
+    var typeTable = {};
+    var opts = {
+        principal: USER,
+        action: 'getobject',
+        conditions: {activeRoles: ['r-read']},
+        typeTable: typeTable
+    };
+    var a = client._prepareAuthorize(opts);
+    var b = client._prepareAuthorize(opts);
+    t.equal(a.evaluator, b.evaluator);
+    t.equal(a.roles[0].rulesWithResources, b.roles[0].rulesWithResources);
+
+    opts.typeTable = {};
+    t.notEqual(client._prepareAuthorize(opts).evaluator, a.evaluator);
+
+    opts.principal = JSON.parse(JSON.stringify(USER));
+    t.notEqual(client._prepareAuthorize(opts).roles[0].rulesWithResources,
+        a.roles[0].rulesWithResources);
+    t.end();
+});
+
+test('teardown', function (t) {
+    client.close();
+    t.end();
+});
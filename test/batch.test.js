@@ -0,0 +1,165 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var http = require('http');
+var mahi = require('..');
+var test = require('tap').test;
+
+var BANKS = 'bde5a308-9e5a-11e3-bbf2-1b6f3d02ff6f';
+var OTHER = '5ffc7b4c-66a6-11e3-af09-8752d24e4669';
+var BOB = '3ffc7b4c-66a6-11e3-af09-8752d24e4669';
+var ALICE = '4ffc7b4c-66a6-11e3-af09-8752d24e4669';
+var UNKNOWN = '00000000-0000-0000-0000-000000000000';
+
+var ACCOUNTS = {};
+ACCOUNTS[BANKS] = 'banks';
+ACCOUNTS[OTHER] = 'other';
+var USERS = {};
+USERS[BOB] = 'bob';
+USERS[ALICE] = 'alice';
+
+var server, client;
+var requests = [];
+var active = 0;
+var maxActive = 0;
+
+/*
+ * Serves the accounts and users above by uuid after a short delay, keeping
+ * track of how many requests are being answered at once.
+ */
+function respond(req, res) {
+    requests.push(req.url);
+    active++;
+    maxActive = Math.max(maxActive, active);
+
+    var parts = req.url.split('/');
+    var uuid = parts[2];
+    var status = 200;
+    var body;
+    if (parts[1] === 'accounts' && ACCOUNTS[uuid]) {
+        body = {
+            account: {
+                uuid: uuid,
+                login: ACCOUNTS[uuid],
+                approved_for_provisioning: true
+            },
+            roles: {}
+        };
+    } else if (parts[1] === 'users' && USERS[uuid]) {
+        body = {
+            account: {
+                uuid: BANKS,
+                login: 'banks',
+                approved_for_provisioning: true
+            },
+            user: {
+                uuid: uuid,
+                login: USERS[uuid]
+            },
+            roles: {}
+        };
+    } else {
+        status = 404;
+        body = {
+            code: parts[1] === 'accounts' ?
+                'AccountDoesNotExist' : 'UserDoesNotExist',
+            message: uuid + ' does not exist'
+        };
+    }
+
+    setTimeout(function () {
+        active--;
+        res.writeHead(status, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(body));
+    }, 10);
+}
+
+function reset() {
+    requests = [];
+    maxActive = 0;
+}
+
+test('setup', function (t) {
+    server = http.createServer(respond);
+    server.listen(0, '127.0.0.1', function () {
+        client = mahi.createClient({
+            url: 'http://127.0.0.1:' + server.address().port,
+            retries: 0
+        });
+        t.end();
+    });
+});
+
+test('getAccountsById', function (t) {
+    reset();
+    client.getAccountsById([BANKS, UNKNOWN, OTHER, BANKS],
+        function (err, result) {
+
+        t.ifError(err);
+        t.deepEqual(Object.keys(result.results).sort(), [OTHER, BANKS].sort());
+        t.equal(result.results[BANKS].account.login, 'banks');
+        t.equal(result.results[OTHER].account.login, 'other');
+        t.deepEqual(Object.keys(result.errors), [UNKNOWN]);
+        t.equal(result.errors[UNKNOWN].restCode, 'AccountDoesNotExist');
+        t.equal(requests.length, 3, 'duplicates fetched once');
+        t.end();
+    });
+});
+
+test('getAccountsById serves cached accounts', function (t) {
+    reset();
+    client.getAccountsById([BANKS, OTHER], function (err, result) {
+        t.ifError(err);
+        t.equal(Object.keys(result.results).length, 2);
+        t.deepEqual(requests, []);
+        t.end();
+    });
+});
+
+test('getUsersById with a concurrency limit', function (t) {
+    reset();
+    client.getUsersById([BOB, ALICE, UNKNOWN], {concurrency: 1},
+        function (err, result) {
+
+        t.ifError(err);
+        t.equal(result.results[BOB].user.login, 'bob');
+        t.equal(result.results[ALICE].user.login, 'alice');
+        t.equal(result.errors[UNKNOWN].restCode, 'UserDoesNotExist');
+        t.equal(requests.length, 3);
+        t.equal(maxActive, 1, 'one request at a time');
+        t.end();
+    });
+});
+
+test('getUsersById with no uuids', function (t) {
+    reset();
+    client.getUsersById([], function (err, result) {
+        t.ifError(err);
+        t.deepEqual(result, {results: {}, errors: {}});
+        t.deepEqual(requests, []);
+        t.end();
+    });
+});
+
+test('getAccountsById checks its arguments', function (t) {
+    t.throws(function () {
+        client.getAccountsById(['banks'], function () {});
+    });
+    t.throws(function () {
+        client.getAccountsById([BANKS], {concurrency: '2'}, function () {});
+    });
+    t.end();
+});
+
+test('teardown', function (t) {
+    client.close();
+    server.close();
+    t.end();
+});
@@ -0,0 +1,343 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var http = require('http');
+var mahi = require('..');
+var test = require('tap').test;
+
+var BANKS = 'bde5a308-9e5a-11e3-bbf2-1b6f3d02ff6f';
+var BOB = '3ffc7b4c-66a6-11e3-af09-8752d24e4669';
+
+var server, url;
+var requests = [];
+var version = 1;
+var delayMs = 0;
+var failing = false;
+
+/*
+ * Serves bob's blob, stamped with the `version` current when each request
+ * arrives, after `delayMs`. Fails with a 500 while `failing` is set. Every
+ * other user is missing.
+ */
+function respond(req, res) {
+    requests.push(req.url);
+    if (req.url.indexOf('login=bob') === -1) {
+        res.writeHead(404, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({
+            code: 'UserDoesNotExist',
+            message: 'user does not exist'
+        }));
+        return;
+    }
+    if (failing) {
+        res.writeHead(500, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({
+            code: 'InternalError',
+            message: 'mahi is down'
+        }));
+        return;
+    }
+    var body = {
+        account: {
+            uuid: BANKS,
+            login: 'banks',
+            approved_for_provisioning: true
+        },
+        user: {
+            uuid: BOB,
+            login: 'bob',
+            version: version
+        },
+        roles: {}
+    };
+    setTimeout(function () {
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(body));
+    }, delayMs);
+}
+
+function createClient(opts) {
+    opts = opts || {};
+    opts.url = url;
+    opts.retries = 0;
+    return (mahi.createClient(opts));
+}
+
+/* calls cb once `n` requests have reached the server */
+function waitForRequests(n, cb) {
+    if (requests.length < n) {
+        setTimeout(waitForRequests, 5, n, cb);
+        return;
+    }
+    cb();
+}
+
+test('setup', function (t) {
+    server = http.createServer(respond);
+    server.listen(0, '127.0.0.1', function () {
+        url = 'http://127.0.0.1:' + server.address().port;
+        t.end();
+    });
+});
+
+test('concurrent lookups share one request', function (t) {
+    var client = createClient();
+    var results = [];
+    requests = [];
+    delayMs = 20;
+
+    function done(err, info, meta) {
+        t.ifError(err);
+        results.push(info);
+        t.equal(meta.cached, false);
+        if (results.length < 5) {
+            return;
+        }
+        t.equal(requests.length, 1, 'one request for five callers');
+        results.forEach(function (r) {
+            t.equal(r, results[0]);
+        });
+
+        client.getUser('bob', 'banks', function (err2, info2, meta2) {
+            t.ifError(err2);
+            t.equal(meta2.cached, true);
+            t.equal(requests.length, 1);
+            client.close();
+            t.end();
+        });
+    }
+
+    for (var i = 0; i < 5; i++) {
+        client.getUser('bob', 'banks', done);
+    }
+});
+
+test('lookups after an invalidation do not join earlier requests',
+    function (t) {
+
+    var client = createClient();
+    var before, after;
+    requests = [];
+    delayMs = 50;
+
+    function done() {
+        if (!before || !after) {
+            return;
+        }
+        t.equal(requests.length, 2);
+        t.equal(before.user.version, 1);
+        t.equal(after.user.version, 2, 'got the data after the change');
+
+        client.getUser('bob', 'banks', function (err, info, meta) {
+            t.ifError(err);
+            t.equal(meta.cached, true);
+            t.equal(info.user.version, 2, 'only the newer data is cached');
+            version = 1;
+            client.close();
+            t.end();
+        });
+    }
+
+    client.getUser('bob', 'banks', function (err, info) {
+        t.ifError(err);
+        before = info;
+        done();
+    });
+
+    /* once the first request has been answered, change bob */
+    waitForRequests(1, function () {
+        version = 2;
+        client.invalidateUser({login: 'bob', account: 'banks'});
+        client.getUser('bob', 'banks', function (err, info) {
+            t.ifError(err);
+            after = info;
+            done();
+        });
+    });
+});
+
+test('stale objects are served while they are refreshed', function (t) {
+    var client = createClient({staleAuthCacheAgeMs: 20});
+    requests = [];
+    delayMs = 0;
+
+    client.getUser('bob', 'banks', function (err, info, meta) {
+        t.ifError(err);
+        t.equal(meta.stale, false);
+        version = 2;
+
+        setTimeout(function () {
+            client.getUser('bob', 'banks', function (err2, info2, meta2) {
+                t.ifError(err2);
+                t.equal(meta2.cached, true);
+                t.equal(meta2.stale, true);
+                t.ok(meta2.age >= 20);
+                t.equal(info2.user.version, 1, 'the stale object');
+
+                /* the refresh has already been sent */
+                waitForRequests(2, function () {
+                    setTimeout(function () {
+                        client.getUser('bob', 'banks', check);
+                    }, 10);
+                });
+            });
+        }, 30);
+    });
+
+    function check(err, info, meta) {
+        t.ifError(err);
+        t.equal(meta.stale, false);
+        t.equal(info.user.version, 2, 'the refreshed object');
+        t.equal(requests.length, 2);
+        version = 1;
+        client.close();
+        t.end();
+    }
+});
+
+test('failed refreshes back off', function (t) {
+    var client = createClient({
+        staleAuthCacheAgeMs: 10,
+        staleRefreshBackoffMs: 100
+    });
+    requests = [];
+
+    function getStale(cb) {
+        client.getUser('bob', 'banks', function (err, info, meta) {
+            t.ifError(err);
+            t.equal(meta.stale, true);
+            t.equal(info.user.version, 1, 'still serving the stale object');
+            cb();
+        });
+    }
+
+    client.getUser('bob', 'banks', function (err) {
+        t.ifError(err);
+        failing = true;
+
+        setTimeout(function () {
+            getStale(function () {
+                waitForRequests(2, function () {
+                    /* after the failure, hits don't refresh again */
+                    setTimeout(getStale, 20, function () {
+                        getStale(function () {
+                            t.equal(requests.length, 2, 'no more refreshes');
+                            setTimeout(retry, 100);
+                        });
+                    });
+                });
+            });
+        }, 20);
+    });
+
+    function retry() {
+        failing = false;
+        getStale(function () {
+            waitForRequests(3, function () {
+                t.equal(requests.length, 3, 'refreshed after the backoff');
+                client.close();
+                t.end();
+            });
+        });
+    }
+});
+
+test('404s are cached until they expire', function (t) {
+    var client = createClient({maxNegativeCacheAgeMs: 50});
+    requests = [];
+
+    client.getUser('nobody', 'banks', function (err) {
+        t.equal(err.statusCode, 404);
+        t.equal(err.restCode, 'UserDoesNotExist');
+        client.getUser('nobody', 'banks', function (err2) {
+            t.equal(err2.restCode, 'UserDoesNotExist', 'the cached error');
+            t.equal(err2.message, err.message);
+            t.equal(requests.length, 1);
+            setTimeout(expired, 60);
+        });
+    });
+
+    function expired() {
+        client.getUser('nobody', 'banks', function (err) {
+            t.equal(err.restCode, 'UserDoesNotExist');
+            t.equal(requests.length, 2, 'looked up again once expired');
+            client.close();
+            t.end();
+        });
+    }
+});
+
+test('each cached 404 is a new error', function (t) {
+    var client = createClient({maxNegativeCacheAgeMs: 1000});
+    var message;
+    requests = [];
+
+    client.getUser('nobody', 'banks', function (err) {
+        message = err.message;
+        err.message = 'changed';
+        err.body.code = 'Changed';
+        err.extra = true;
+
+        client.getUser('nobody', 'banks', function (err2) {
+            t.equal(requests.length, 1, 'served from the cache');
+            t.notEqual(err2, err);
+            t.equal(err2.message, message);
+            t.equal(err2.restCode, 'UserDoesNotExist');
+            t.equal(err2.body.code, 'UserDoesNotExist');
+            t.notOk(err2.extra);
+            err2.message = 'changed again';
+
+            client.getUser('nobody', 'banks', function (err3) {
+                t.equal(err3.message, message);
+                client.close();
+                t.end();
+            });
+        });
+    });
+});
+
+test('only 404s are cached', function (t) {
+    var client = createClient({maxNegativeCacheAgeMs: 1000});
+    requests = [];
+    failing = true;
+
+    client.getUser('bob', 'banks', function (err) {
+        t.equal(err.statusCode, 500);
+        client.getUser('bob', 'banks', function (err2) {
+            t.equal(err2.statusCode, 500);
+            t.equal(requests.length, 2);
+            failing = false;
+            client.close();
+            t.end();
+        });
+    });
+});
+
+test('invalidation clears cached 404s', function (t) {
+    var client = createClient({maxNegativeCacheAgeMs: 1000});
+    requests = [];
+
+    client.getUser('nobody', 'banks', function (err) {
+        t.equal(err.statusCode, 404);
+        t.equal(client.invalidateUser({login: 'nobody', account: 'banks'}),
+            1);
+        client.getUser('nobody', 'banks', function (err2) {
+            t.notEqual(err2, err);
+            t.equal(requests.length, 2);
+            client.close();
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (t) {
+    server.close();
+    t.end();
+});
@@ -0,0 +1,82 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var ChangeFeed = require('../lib/changefeed.js').ChangeFeed;
+var test = require('tap').test;
+
+/*
+ * A stand-in for MahiClient that holds on to each poll's callback, so that
+ * tests can answer polls in any order.
+ */
+function fakeClient() {
+    var client = {
+        polls: [],
+        changes: [],
+        http: {
+            get: function (options, cb) {
+                client.polls.push({path: options.path, cb: cb});
+            }
+        },
+        handleChange: function (change) {
+            client.changes.push(change);
+        },
+        invalidateAll: function () {}
+    };
+    return (client);
+}
+
+test('invalid responses are skipped', function (t) {
+    var client = fakeClient();
+    var feed = new ChangeFeed({client: client, intervalMs: 60000});
+
+    feed.start();
+    client.polls[0].cb(null, null, null, {position: 7});
+    t.equal(feed.position, 7);
+
+    [null, 'changes', {changes: 5, position: 9}].forEach(function (body, i) {
+        t.ok(feed._timer, 'next poll scheduled');
+        feed._poll();
+        t.doesNotThrow(function () {
+            client.polls[i + 1].cb(null, null, null, body);
+        }, JSON.stringify(body));
+        t.equal(feed.position, 7, 'position kept');
+    });
+    t.equal(client.polls[1].path, '/changes?since=7');
+
+    feed._poll();
+    client.polls[4].cb(null, null, null, {
+        changes: [ {type: 'account', uuid: 'a'} ],
+        position: 8
+    });
+    t.deepEqual(client.changes, [ {type: 'account', uuid: 'a'} ]);
+    t.equal(feed.position, 8);
+    feed.stop();
+    t.end();
+});
+
+test('polls from before a restart are ignored', function (t) {
+    var client = fakeClient();
+    var feed = new ChangeFeed({client: client, intervalMs: 60000});
+
+    feed.start();
+    feed.stop();
+    feed.start();
+    t.equal(client.polls.length, 2);
+
+    client.polls[0].cb(null, null, null, {position: 1});
+    t.equal(feed.position, undefined, 'stale poll ignored');
+    t.equal(feed._timer, null, 'and not rescheduled');
+
+    client.polls[1].cb(null, null, null, {position: 2});
+    t.equal(feed.position, 2);
+    t.ok(feed._timer, 'one poll loop');
+    feed.stop();
+    t.end();
+});
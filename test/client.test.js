@@ -137,3 +137,23 @@ setup(test); test('authorize account self', function (t) {
         t.end();
     });
 }); teardown(test);
+
+setup(test); test('explain account self', function (t) {
+    CLIENT.getAccount('banks', function (err, info) {
+        var result = CLIENT.explain({
+            principal: info,
+            action: 'read',
+            resource: {
+                owner: info,
+                roles: []
+            },
+            conditions: {
+                activeRoles: []
+            }
+        });
+        t.ok(result.allowed);
+        t.equal(result.trace.shortCircuit, 'accountOwner');
+        t.equal(result.trace.decision, 'allow');
+        t.end();
+    });
+}); teardown(test);
@@ -0,0 +1,157 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var aperture = require('aperture');
+var mahi = require('..');
+var test = require('tap').test;
+
+var BANKS = 'bde5a308-9e5a-11e3-bbf2-1b6f3d02ff6f';
+var OTHER = '5ffc7b4c-66a6-11e3-af09-8752d24e4669';
+
+var parser = aperture.createParser({
+    types: aperture.types,
+    typeTable: {}
+});
+
+function rule(text) {
+    return ([text, parser.parse(text)]);
+}
+
+var OWNER = {
+    account: {
+        uuid: BANKS,
+        login: 'banks',
+        approved_for_provisioning: true
+    },
+    roles: {}
+};
+var USER = {
+    account: OWNER.account,
+    user: {
+        uuid: '3ffc7b4c-66a6-11e3-af09-8752d24e4669',
+        login: 'bob'
+    },
+    roles: {
+        'r-read': {
+            uuid: 'r-read',
+            name: 'readers',
+            account: BANKS,
+            rules: [rule('CAN getobject')]
+        },
+        'r-admin': {
+            uuid: 'r-admin',
+            name: 'administrator',
+            account: BANKS,
+            rules: []
+        },
+        'r-other': {
+            uuid: 'r-other',
+            name: 'readers',
+            account: OTHER,
+            rules: [rule('CAN getobject')]
+        }
+    }
+};
+
+var client = mahi.createClient({url: 'http://127.0.0.1:1', typeTable: {}});
+
+function explain(principal, action, activeRoles, tags) {
+    return (client.explain({
+        principal: principal,
+        action: action,
+        resource: {
+            path: '/banks/stor/a',
+            owner: OWNER,
+            roles: tags || []
+        },
+        conditions: {activeRoles: activeRoles}
+    }));
+}
+
+test('explain account owner', function (t) {
+    var result = explain(OWNER, 'getobject', []);
+    t.equal(result.allowed, true);
+    t.notOk(result.error);
+    t.equal(result.trace.shortCircuit, 'accountOwner');
+    t.equal(result.trace.decision, 'allow');
+    t.equal(result.trace.action, 'getobject');
+    t.equal(result.trace.resource, '/banks/stor/a');
+    t.deepEqual(result.trace.roles, []);
+    t.end();
+});
+
+test('explain administrator', function (t) {
+    var result = explain(USER, 'deleteobject', ['r-admin']);
+    t.equal(result.allowed, true);
+    t.equal(result.trace.shortCircuit, 'administrator');
+    t.deepEqual(result.trace.roles, [ {
+        uuid: 'r-admin',
+        name: 'administrator',
+        account: BANKS,
+        status: 'administrator'
+    } ]);
+    t.end();
+});
+
+test('explain allow through a role tag', function (t) {
+    var result = explain(USER, 'getobject', ['r-other', 'r-read'],
+        ['r-read']);
+    t.equal(result.allowed, true);
+    t.equal(result.trace.shortCircuit, null);
+    t.deepEqual(result.trace.roles.map(function (r) {
+        return (r.status);
+    }), ['otherAccount', 'roleTag']);
+    t.equal(result.trace.rules.length, 1);
+    t.equal(result.trace.rules[0].rule, 'CAN getobject');
+    t.equal(result.trace.rules[0].selectedBy, 'roleTag');
+    t.equal(result.trace.rules[0].result, true);
+    t.equal(result.trace.result, true);
+    t.equal(result.trace.decision, 'allow');
+    t.end();
+});
+
+test('explain deny by rules', function (t) {
+    var result = explain(USER, 'putobject', ['r-read'], ['r-read']);
+    t.equal(result.allowed, false);
+    t.equal(result.error.restCode, 'RulesEvaluationFailed');
+    t.equal(result.error.trace, result.trace);
+    t.equal(result.trace.rules[0].result, false);
+    t.equal(result.trace.result, false);
+    t.equal(result.trace.decision, 'deny');
+    t.equal(result.trace.restCode, 'RulesEvaluationFailed');
+    t.end();
+});
+
+test('explain deny without a role tag', function (t) {
+    var result = explain(USER, 'getobject', ['r-read']);
+    t.equal(result.allowed, false);
+    t.equal(result.error.restCode, 'NoMatchingRoleTag');
+    t.equal(result.trace.roles[0].status, 'noApplicableRules');
+    t.deepEqual(result.trace.rules, []);
+    t.equal(result.trace.restCode, 'NoMatchingRoleTag');
+    t.end();
+});
+
+test('explain invalid role', function (t) {
+    var result = explain(USER, 'getobject', ['r-gone']);
+    t.equal(result.error.restCode, 'InvalidRole');
+    t.deepEqual(result.trace.roles, [ {
+        uuid: 'r-gone',
+        name: undefined,
+        account: undefined,
+        status: 'invalid'
+    } ]);
+    t.end();
+});
+
+test('teardown', function (t) {
+    client.close();
+    t.end();
+});
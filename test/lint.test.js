@@ -0,0 +1,133 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var lint = require('../lib/lint.js');
+var mahi = require('..');
+var test = require('tap').test;
+
+var ACCOUNT = 'bde5a308-9e5a-11e3-bbf2-1b6f3d02ff6f';
+var OTHER = '5ffc7b4c-66a6-11e3-af09-8752d24e4669';
+
+function role(uuid, name, account, rules, policies) {
+    return ({
+        uuid: uuid,
+        name: name,
+        type: 'role',
+        account: account,
+        policies: policies || [],
+        rules: rules
+    });
+}
+
+var PRINCIPAL = {
+    account: {uuid: ACCOUNT, login: 'banks'},
+    user: {
+        uuid: '3ffc7b4c-66a6-11e3-af09-8752d24e4669',
+        login: 'bob',
+        roles: ['r-admin', 'r-read', 'r-empty', 'r-xacct', 'r-gone'],
+        defaultRoles: ['r-read', 'r-stranger']
+    },
+    roles: {
+        'r-admin': role('r-admin', 'administrator', ACCOUNT,
+            [ ['CAN *', {resources: 1}] ], ['p-1']),
+        'r-read': role('r-read', 'readers', ACCOUNT, [
+            ['CAN getobject /banks/stor/a', {resources: {exact: {
+                '/banks/stor/a': true}}}],
+            ['CAN getobject /other/stor/a', {resources: {exact: [
+                '/other/stor/a']}}],
+            ['CAN getobject when sourceip = 10.0.0.0/8 and ' +
+                'day in ("a = b", Monday)', {conditions: ['and',
+                ['=', 'sourceip', '10.0.0.0/8'],
+                ['in', 'day', ['a = b', 'Monday']]]}]
+        ]),
+        'r-empty': role('r-empty', 'nothing', ACCOUNT, []),
+        'r-xacct': role('r-xacct', 'auditors', OTHER, [
+            ['CAN getobject /banks/stor/a', {resources: {exact: [
+                '/banks/stor/a']}}]
+        ])
+    }
+};
+
+test('conditionsOf', function (t) {
+    t.deepEqual(lint.conditionsOf({conditions: null}), []);
+    t.deepEqual(lint.conditionsOf(undefined), []);
+    /* CAN getobject WHEN sourceip = 1.2.3.4 or (day >= Monday and not ...) */
+    t.deepEqual(lint.conditionsOf({
+        conditions: ['or',
+            ['=', 'sourceip', '1.2.3.4'],
+            ['and',
+                ['>=', 'day', 'Monday'],
+                ['not', ['<', 'day', 'x = y']]]]
+    }), ['sourceip', 'day']);
+    t.end();
+});
+
+test('lintPrincipal', function (t) {
+    var client = mahi.createClient({
+        url: 'http://127.0.0.1:1',
+        typeTable: {sourceip: 'ip'}
+    });
+    var findings = client.lintPrincipal({principal: PRINCIPAL});
+    client.close();
+
+    t.deepEqual(findings.map(function (f) {
+        return ([f.code, f.role, f.reason || f.rule || f.condition]);
+    }), [
+        [mahi.LINT.UNASSUMABLE_ROLE, 'r-gone', 'missing'],
+        [mahi.LINT.UNASSUMABLE_ROLE, 'r-stranger', 'notMember'],
+        [mahi.LINT.ADMINISTRATOR_RULES, 'r-admin', undefined],
+        [mahi.LINT.DEAD_RULE, 'r-read', 'CAN getobject /other/stor/a'],
+        [mahi.LINT.UNKNOWN_CONDITION, 'r-read',
+            'CAN getobject when sourceip = 10.0.0.0/8 and ' +
+            'day in ("a = b", Monday)'],
+        [mahi.LINT.EMPTY_ROLE, 'r-empty', undefined]
+    ]);
+    t.equal(findings[2].name, 'administrator');
+    t.deepEqual(findings[2].policies, ['p-1']);
+    t.equal(findings[4].condition, 'day');
+    t.end();
+});
+
+test('roles the user is not a member of', function (t) {
+    var findings = lint.lintPrincipal({
+        principal: {
+            account: PRINCIPAL.account,
+            user: {
+                uuid: PRINCIPAL.user.uuid,
+                login: 'bob',
+                roles: ['r-empty'],
+                defaultRoles: ['r-read']
+            },
+            roles: {
+                'r-read': PRINCIPAL.roles['r-read'],
+                'r-empty': PRINCIPAL.roles['r-empty']
+            }
+        }
+    });
+    t.deepEqual(findings.map(function (f) {
+        return ([f.code, f.role, f.reason]);
+    }), [
+        [mahi.LINT.UNASSUMABLE_ROLE, 'r-read', 'notMember'],
+        [mahi.LINT.EMPTY_ROLE, 'r-empty', undefined]
+    ]);
+    t.end();
+});
+
+test('account owners', function (t) {
+    var findings = lint.lintPrincipal({
+        principal: {
+            account: PRINCIPAL.account,
+            roles: {'r-read': PRINCIPAL.roles['r-read']}
+        }
+    });
+    t.equal(findings.length, 1);
+    t.equal(findings[0].reason, 'accountOwner');
+    t.end();
+});
@@ -0,0 +1,117 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var http = require('http');
+var mahi = require('..');
+var test = require('tap').test;
+
+var LOCAL = '3ffc7b4c-66a6-11e3-af09-8752d24e4669';
+var REMOTE = '5ffc7b4c-66a6-11e3-af09-8752d24e4669';
+
+var server, client;
+var requests = [];
+
+function respond(req, res) {
+    requests.push(req.url);
+
+    if (req.url === '/lookup') {
+        if (req.headers['if-none-match'] === '"1"') {
+            res.writeHead(304);
+            res.end();
+            return;
+        }
+        var table = {};
+        table[LOCAL] = {login: 'banks', approved: true, isOperator: true};
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'ETag': '"1"'
+        });
+        res.end(JSON.stringify(table));
+        return;
+    }
+
+    var body;
+    if (req.url.indexOf('/names') === 0) {
+        body = {};
+        body[REMOTE] = 'other';
+    } else {
+        body = {
+            account: {
+                uuid: REMOTE,
+                login: 'other',
+                approved_for_provisioning: false
+            },
+            roles: {}
+        };
+    }
+    res.writeHead(200, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+}
+
+test('setup', function (t) {
+    server = http.createServer(respond);
+    server.listen(0, '127.0.0.1', function () {
+        client = mahi.createClient({
+            url: 'http://127.0.0.1:' + server.address().port,
+            lookupTable: true,
+            lookupRefreshMs: 20
+        });
+        t.equal(client.lookupRefreshedAt(), null);
+
+        /* wait for the first load and a conditional refresh */
+        function wait() {
+            if (requests.length < 2) {
+                setTimeout(wait, 10);
+                return;
+            }
+            t.ok(client.lookupRefreshedAt() instanceof Date);
+            t.end();
+        }
+        wait();
+    });
+});
+
+test('getName uses the table, then mahi', function (t) {
+    requests = [];
+    client.getName({uuids: [LOCAL, REMOTE]}, function (err, names) {
+        t.ifError(err);
+        t.equal(names[LOCAL], 'banks');
+        t.equal(names[REMOTE], 'other');
+        t.deepEqual(requests.filter(function (r) {
+            return (r !== '/lookup');
+        }), ['/names?uuid=' + REMOTE]);
+        t.end();
+    });
+});
+
+test('getAccountStatus', function (t) {
+    client.getAccountStatus('banks', function (err, status) {
+        t.ifError(err);
+        t.deepEqual(status, {
+            uuid: LOCAL,
+            login: 'banks',
+            approved: true,
+            isOperator: true
+        });
+        client.getAccountStatus(REMOTE, function (err2, status2) {
+            t.ifError(err2);
+            t.equal(status2.login, 'other');
+            t.equal(status2.approved, false);
+            t.equal(status2.isOperator, false);
+            t.end();
+        });
+    });
+});
+
+test('teardown', function (t) {
+    client.close();
+    server.close();
+    t.end();
+});
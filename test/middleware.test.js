@@ -0,0 +1,291 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var aperture = require('aperture');
+var crypto = require('crypto');
+var http = require('http');
+var mahi = require('..');
+var qs = require('querystring');
+var test = require('tap').test;
+
+var BANKS = 'bde5a308-9e5a-11e3-bbf2-1b6f3d02ff6f';
+var BOB = '3ffc7b4c-66a6-11e3-af09-8752d24e4669';
+var READERS = '5ffc7b4c-66a6-11e3-af09-8752d24e4669';
+var FINGERPRINT = 'e3:4d:9b:26:bd:ef:a1:db:43:ae:4b:f7:bc:69:a7:24';
+
+var KEYS = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: {type: 'spki', format: 'pem'},
+    privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+});
+
+var parser = aperture.createParser({
+    types: aperture.types,
+    typeTable: {}
+});
+
+var ACCOUNT = {
+    uuid: BANKS,
+    login: 'banks',
+    approved_for_provisioning: true
+};
+var USER = {
+    uuid: BOB,
+    login: 'bob',
+    account: BANKS,
+    keys: {},
+    roles: [READERS],
+    defaultRoles: [READERS]
+};
+var ROLES = {};
+USER.keys[FINGERPRINT] = KEYS.publicKey;
+ROLES[READERS] = {
+    type: 'role',
+    uuid: READERS,
+    name: 'readers',
+    account: BANKS,
+    rules: [ ['CAN getobject', parser.parse('CAN getobject')] ]
+};
+
+var server, client;
+
+/* serves user bob of account banks, a member of readers */
+function respond(req, res) {
+    var parts = req.url.split('?');
+    var query = qs.parse(parts[1]);
+    var status = 200;
+    var body;
+
+    if (parts[0] === '/users' && query.login === 'bob' &&
+        query.account === 'banks') {
+        body = {account: ACCOUNT, user: USER, roles: ROLES};
+    } else {
+        status = 404;
+        body = {
+            code: 'UserDoesNotExist',
+            message: 'user does not exist'
+        };
+    }
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+}
+
+/* a request signed by bob, as parsed by restify's authorizationParser */
+function signedRequest() {
+    var keyId = '/banks/users/bob/keys/' + FINGERPRINT;
+    var signingString = 'date: ' + new Date().toUTCString();
+    return ({
+        method: 'GET',
+        url: '/banks/stor/a',
+        headers: {
+            authorization: 'Signature keyId="' + keyId + '"'
+        },
+        authorization: {
+            signature: {
+                scheme: 'Signature',
+                algorithm: 'RSA-SHA256',
+                keyId: keyId,
+                signingString: signingString,
+                params: {
+                    keyId: keyId,
+                    algorithm: 'rsa-sha256',
+                    headers: ['date'],
+                    signature: crypto.createSign('RSA-SHA256')
+                        .update(signingString)
+                        .sign(KEYS.privateKey, 'base64')
+                }
+            }
+        }
+    });
+}
+
+/* the spec for `action` on a resource owned by banks and tagged readers */
+function spec(action) {
+    return ({
+        action: action,
+        resource: {
+            path: '/banks/stor/a',
+            owner: {
+                account: {
+                    uuid: BANKS,
+                    login: 'banks',
+                    approved_for_provisioning: true
+                },
+                roles: {}
+            },
+            roles: [READERS]
+        }
+    });
+}
+
+/*
+ * Runs `req` through an http handler and calls back with the response that
+ * was sent (or null), and whether next() was called.
+ */
+function run(opts, req, cb) {
+    opts.client = client;
+    var handler = mahi.createHttpAuthHandler(opts);
+    var res = {
+        headers: {},
+        setHeader: function (name, value) {
+            res.headers[name.toLowerCase()] = value;
+        },
+        end: function (body) {
+            cb({
+                statusCode: res.statusCode,
+                headers: res.headers,
+                body: JSON.parse(body)
+            }, false);
+        }
+    };
+    handler(req, res, function () {
+        cb(null, true);
+    });
+}
+
+test('setup', function (t) {
+    server = http.createServer(respond);
+    server.listen(0, '127.0.0.1', function () {
+        client = mahi.createClient({
+            url: 'http://127.0.0.1:' + server.address().port,
+            retries: 0,
+            typeTable: {}
+        });
+        t.end();
+    });
+});
+
+test('allow', function (t) {
+    var req = signedRequest();
+    run({
+        authorize: function (r, cb) {
+            t.equal(r, req);
+            cb(null, spec('getobject'));
+        }
+    }, req, function (res, nextCalled) {
+        t.notOk(res);
+        t.ok(nextCalled);
+        t.equal(req.caller.account.uuid, BANKS);
+        t.equal(req.caller.user.login, 'bob');
+        t.end();
+    });
+});
+
+test('deny', function (t) {
+    run({
+        authorize: function (req, cb) {
+            cb(null, spec('putobject'));
+        }
+    }, signedRequest(), function (res, nextCalled) {
+        t.notOk(nextCalled);
+        t.equal(res.statusCode, 403);
+        t.equal(res.headers['content-type'], 'application/json');
+        t.equal(res.body.code, 'RulesEvaluationFailed');
+        t.end();
+    });
+});
+
+test('missing credentials', function (t) {
+    var req = {
+        method: 'GET',
+        url: '/banks/stor/a',
+        headers: {}
+    };
+    run({
+        authorize: function (r, cb) {
+            t.fail('authorize called');
+            cb(null, {skip: true});
+        }
+    }, req, function (res, nextCalled) {
+        t.notOk(nextCalled);
+        t.equal(res.statusCode, 401);
+        t.equal(res.body.code, 'AuthorizationRequired');
+        t.notOk(req.caller);
+        t.end();
+    });
+});
+
+test('no spec is denied', function (t) {
+    var specs = [undefined, null, 'getobject'];
+    var n = 0;
+    specs.forEach(function (s) {
+        run({
+            authorize: function (req, cb) {
+                cb(null, s);
+            }
+        }, signedRequest(), function (res, nextCalled) {
+            t.notOk(nextCalled, String(s));
+            t.equal(res.statusCode, 403);
+            t.equal(res.body.code, 'RulesEvaluationFailed');
+            if (++n === specs.length) {
+                t.end();
+            }
+        });
+    });
+});
+
+test('skip', function (t) {
+    var req = signedRequest();
+    run({
+        authorize: function (r, cb) {
+            cb(null, {skip: true});
+        }
+    }, req, function (res, nextCalled) {
+        t.notOk(res);
+        t.ok(nextCalled);
+        t.ok(req.caller);
+        t.end();
+    });
+});
+
+test('non-mahi errors are logged, not sent', function (t) {
+    var logged = [];
+    var log = {
+        error: function (fields, msg) {
+            logged.push(fields);
+        }
+    };
+    run({
+        log: log,
+        authorize: function (req, cb) {
+            cb(new Error('database password is hunter2'));
+        }
+    }, signedRequest(), function (res, nextCalled) {
+        t.notOk(nextCalled);
+        t.equal(res.statusCode, 500);
+        t.deepEqual(res.body, {
+            code: 'InternalError',
+            message: 'Internal error'
+        });
+        t.equal(logged.length, 1);
+        t.equal(logged[0].err.message, 'database password is hunter2');
+        t.equal(logged[0].url, '/banks/stor/a');
+        t.end();
+    });
+});
+
+test('restify handler', function (t) {
+    var handler = mahi.createAuthHandler({
+        client: client,
+        authorize: function (req, cb) {
+            cb();
+        }
+    });
+    handler(signedRequest(), {}, function (err) {
+        t.equal(err.restCode, 'RulesEvaluationFailed');
+        t.end();
+    });
+});
+
+test('teardown', function (t) {
+    client.close();
+    server.close();
+    t.end();
+});
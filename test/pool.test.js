@@ -0,0 +1,218 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var EndpointPool = require('../lib/pool.js').EndpointPool;
+var http = require('http');
+var test = require('tap').test;
+
+var up, down, hang, pool;
+var hits = {
+    up: 0,
+    down: 0,
+    hang: 0
+};
+var hung = [];
+
+function server(name, status, cb) {
+    var s = http.createServer(function (req, res) {
+        hits[name]++;
+        if (name === 'hang') {
+            hung.push(res);
+            return;
+        }
+        req.resume();
+        req.on('end', function () {
+            res.writeHead(status, {'Content-Type': 'application/json'});
+            res.end(JSON.stringify({name: name}));
+        });
+    });
+    s.listen(0, '127.0.0.1', function () {
+        cb(s);
+    });
+}
+
+function url(s) {
+    return ('http://127.0.0.1:' + s.address().port);
+}
+
+test('setup', function (t) {
+    server('down', 503, function (d) {
+        down = d;
+        server('up', 200, function (u) {
+            up = u;
+            server('hang', 200, function (h) {
+                hang = h;
+                pool = new EndpointPool({
+                    urls: [url(down), url(up)],
+                    backoffMs: 60000
+                });
+                t.end();
+            });
+        });
+    });
+});
+
+test('GET fails over to a healthy endpoint', function (t) {
+    var events = [];
+    pool.on('request', function onRequest(info) {
+        events.push(info);
+    });
+    pool.get('/accounts', function (err, req, res, obj) {
+        pool.removeAllListeners('request');
+        t.ifError(err);
+        t.equal(obj.name, 'up');
+        t.equal(events.length, 2);
+        t.equal(events[0].endpoint, url(down));
+        t.equal(events[0].statusCode, 503);
+        t.equal(events[1].statusCode, 200);
+        t.equal(events[1].path, '/accounts');
+        t.equal(hits.down, 1);
+        t.equal(pool.endpoints[0].failures, 1);
+        t.ok(pool.endpoints[0].unhealthyUntil > Date.now());
+        t.equal(pool.endpoints[1].failures, 0);
+        t.end();
+    });
+});
+
+test('unhealthy endpoint is avoided', function (t) {
+    t.equal(pool.ordered()[0].url, url(up));
+    pool.get('/accounts', function (err, req, res, obj) {
+        t.ifError(err);
+        t.equal(obj.name, 'up');
+        t.equal(hits.down, 1);
+        t.end();
+    });
+});
+
+test('POST is not retried', function (t) {
+    pool.endpoints[0].unhealthyUntil = 0;
+    pool.endpoints[1].latency = Infinity;
+    pool.post('/aws-verify', {}, function (err) {
+        t.ok(err);
+        t.equal(err.statusCode, 503);
+        t.equal(hits.down, 2);
+        t.equal(pool.endpoints[0].failures, 2);
+        t.end();
+    });
+});
+
+test('timeouts, retries and circuit breaker', function (t) {
+    var p = new EndpointPool({
+        urls: [url(hang)],
+        requestTimeout: 100,
+        retries: 1,
+        retryDelayMs: 10,
+        breakerThreshold: 2,
+        breakerResetMs: 60000
+    });
+
+    p.get('/lookup', function (err) {
+        t.ok(err);
+        t.equal(err.name, 'RequestTimeoutError');
+        t.equal(hits.hang, 2, 'retried once');
+
+        p.get({path: '/lookup', retries: 0}, function (err2) {
+            t.equal(err2.name, 'RequestTimeoutError');
+            t.equal(hits.hang, 3);
+            t.ok(p.breaker.openUntil > Date.now(), 'breaker open');
+
+            p.get('/lookup', function (err3) {
+                t.equal(err3.name, 'CircuitOpenError');
+                t.equal(err3.statusCode, 503);
+                t.equal(hits.hang, 3, 'not sent while open');
+                p.close();
+                t.end();
+            });
+        });
+    });
+});
+
+test('timeouts, retries and circuit breaker are off by default', function (t) {
+    t.equal(pool.connectTimeout, undefined);
+    t.equal(pool.requestTimeout, undefined);
+    t.equal(pool.retries, 0);
+    t.equal(pool.breaker.threshold, 0);
+    t.end();
+});
+
+test('requests can skip the circuit breaker', function (t) {
+    var p = new EndpointPool({
+        urls: [url(down)],
+        retries: 0,
+        breakerThreshold: 1,
+        breakerResetMs: 60000
+    });
+
+    p.get({path: '/changes', breaker: false}, function (err) {
+        t.equal(err.statusCode, 503);
+        t.equal(p.breaker.failures, 0, 'not counted');
+        t.equal(p.breaker.openUntil, 0);
+
+        p.get('/lookup', function (err2) {
+            t.equal(err2.statusCode, 503);
+            t.ok(p.breaker.openUntil > Date.now(), 'breaker open');
+
+            var before = hits.down;
+            p.get({path: '/changes', breaker: false}, function (err3) {
+                t.equal(err3.statusCode, 503, 'sent while open');
+                t.equal(hits.down, before + 1);
+                p.close();
+                t.end();
+            });
+        });
+    });
+});
+
+test('a probe that never returns does not hold the breaker open', function (t) {
+    var p = new EndpointPool({
+        urls: [url(hang)],
+        breakerThreshold: 1,
+        breakerResetMs: 50
+    });
+    var before;
+
+    p.get({path: '/lookup', requestTimeout: 20}, function (err) {
+        t.equal(err.name, 'RequestTimeoutError');
+        t.ok(p.breaker.openUntil > Date.now(), 'breaker open');
+        setTimeout(probe, 60);
+    });
+
+    function probe() {
+        before = hits.hang;
+        /* never answered; the server's sockets are destroyed at teardown */
+        p.get('/lookup', function () {});
+
+        p.get('/lookup', function (err) {
+            t.equal(err.name, 'CircuitOpenError', 'open while probing');
+            setTimeout(expired, 60);
+        });
+    }
+
+    function expired() {
+        t.equal(hits.hang, before + 1, 'probe sent');
+        p.get({path: '/lookup', requestTimeout: 20}, function (err) {
+            t.equal(err.name, 'RequestTimeoutError', 'probed again');
+            t.equal(hits.hang, before + 2);
+            p.close();
+            t.end();
+        });
+    }
+});
+
+test('teardown', function (t) {
+    pool.close();
+    up.close();
+    down.close();
+    hung.forEach(function (res) {
+        res.socket.destroy();
+    });
+    hang.close();
+    t.end();
+});
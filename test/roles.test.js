@@ -0,0 +1,103 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var mahi = require('..');
+var test = require('tap').test;
+
+var HOME = 'bde5a308-9e5a-11e3-bbf2-1b6f3d02ff6f';
+var OWNER = '5ffc7b4c-66a6-11e3-af09-8752d24e4669';
+var OTHER = '7ffc7b4c-66a6-11e3-af09-8752d24e4669';
+
+var ROLES = {
+    'r-home': {uuid: 'r-home', name: 'readers', account: HOME},
+    'r-owner': {uuid: 'r-owner', name: 'readers', account: OWNER},
+    'r-writer': {uuid: 'r-writer', name: 'writers', account: OWNER},
+    'r-other': {uuid: 'r-other', name: 'auditors', account: OTHER}
+};
+
+var PRINCIPAL = {
+    account: {uuid: HOME, login: 'banks'},
+    user: {
+        uuid: '3ffc7b4c-66a6-11e3-af09-8752d24e4669',
+        defaultRoles: ['r-home', 'r-writer', 'r-other']
+    },
+    roles: ROLES
+};
+var OWNER_INFO = {account: {uuid: OWNER, login: 'other'}, roles: {}};
+
+var client = mahi.createClient({url: 'http://127.0.0.1:1'});
+
+test('listAssumableRoles', function (t) {
+    var roles = client.listAssumableRoles({
+        principal: PRINCIPAL,
+        owner: OWNER_INFO
+    });
+    t.deepEqual(roles.map(function (r) {
+        return (r.uuid + ':' + r.crossAccount);
+    }), ['r-home:false', 'r-owner:true', 'r-writer:true']);
+    t.end();
+});
+
+test('assumeRoles splits own and cross-account roles', function (t) {
+    t.deepEqual(client.assumeRoles({
+        principal: PRINCIPAL,
+        owner: OWNER_INFO,
+        roles: ['readers', 'writers', 'r-home', 'r-writer']
+    }), {
+        activeRoles: ['r-home'],
+        activeXAcctRoles: ['r-owner', 'r-writer']
+    });
+    t.end();
+});
+
+test('assumeRoles defaults', function (t) {
+    t.deepEqual(client.assumeRoles({
+        principal: PRINCIPAL,
+        owner: OWNER_INFO
+    }), {
+        activeRoles: ['r-home'],
+        activeXAcctRoles: ['r-writer']
+    });
+    t.end();
+});
+
+test('assumeRoles rejects roles it cannot assume', function (t) {
+    try {
+        client.assumeRoles({
+            principal: PRINCIPAL,
+            owner: OWNER_INFO,
+            roles: ['auditors']
+        });
+        t.fail('no error');
+    } catch (e) {
+        t.equal(e.restCode, 'InvalidRole');
+        t.equal(e.role, 'auditors');
+        t.equal(e.account, OTHER);
+        t.ok(/resource owner/.test(e.message), e.message);
+    }
+
+    try {
+        client.assumeRoles({
+            principal: PRINCIPAL,
+            owner: OWNER_INFO,
+            roles: ['nobody']
+        });
+        t.fail('no error');
+    } catch (e) {
+        t.equal(e.restCode, 'InvalidRole');
+        t.equal(e.reason, 'not a member of this role');
+    }
+    t.end();
+});
+
+test('teardown', function (t) {
+    client.close();
+    t.end();
+});
@@ -0,0 +1,130 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var s3 = require('../lib/s3.js');
+var test = require('tap').test;
+
+function translate(method, bucket, key, query, headers) {
+    return (s3.translateS3Request({
+        method: method,
+        owner: 'banks',
+        bucket: bucket,
+        key: key,
+        query: query,
+        headers: headers
+    }));
+}
+
+test('bucket operations', function (t) {
+    var r = translate('GET');
+    t.equal(r.operation, 'ListBuckets');
+    t.equal(r.action, 'listbuckets');
+    t.equal(r.resource.path, '/banks/buckets');
+
+    r = translate('GET', 'vault', undefined, {'list-type': '2'});
+    t.equal(r.operation, 'ListObjectsV2');
+    t.equal(r.action, 'listbucketobjects');
+    t.equal(r.resource.path, '/banks/buckets/vault');
+
+    t.equal(translate('PUT', 'vault').action, 'putbucket');
+    t.equal(translate('DELETE', 'vault').action, 'deletebucket');
+    t.equal(translate('HEAD', 'vault').action, 'getbucket');
+
+    r = translate('GET', 'vault', undefined, {acl: ''});
+    t.equal(r.operation, 'GetBucketAcl');
+    t.equal(r.conditions.subresource, 'acl');
+    t.end();
+});
+
+test('object operations', function (t) {
+    var r = translate('GET', 'vault', 'a/b.txt');
+    t.equal(r.operation, 'GetObject');
+    t.equal(r.action, 'getobject');
+    t.equal(r.resource.path, '/banks/buckets/vault/objects/a/b.txt');
+    t.equal(r.conditions.method, 'GET');
+
+    t.equal(translate('PUT', 'vault', 'k').operation, 'PutObject');
+    t.equal(translate('DELETE', 'vault', 'k').action, 'deleteobject');
+    t.equal(translate('PATCH', 'vault', 'k'), null);
+    t.end();
+});
+
+test('copy object', function (t) {
+    var headers = {
+        'x-amz-copy-source': '/other/some%20key?versionId=1'
+    };
+    t.deepEqual(s3.parseCopySource(headers['x-amz-copy-source']), {
+        bucket: 'other',
+        key: 'some key'
+    });
+    t.equal(s3.parseCopySource('nokey'), null);
+
+    var r = s3.translateS3Request({
+        method: 'PUT',
+        owner: 'banks',
+        bucket: 'vault',
+        key: 'copy',
+        headers: headers,
+        copySourceOwner: 'cronus'
+    });
+    t.equal(r.operation, 'CopyObject');
+    t.equal(r.action, 'putobject');
+    t.equal(r.resource.path, '/banks/buckets/vault/objects/copy');
+    t.equal(r.additional.length, 1);
+    t.equal(r.additional[0].action, 'getobject');
+    t.equal(r.additional[0].owner, 'cronus');
+    t.equal(r.additional[0].resource.path,
+        '/cronus/buckets/other/objects/some key');
+
+    /* the source's owner can't be assumed to be the destination's */
+    t.throws(function () {
+        translate('PUT', 'vault', 'copy', {}, headers);
+    });
+    t.throws(function () {
+        translate('PUT', 'vault', 'copy', {uploadId: 'u', partNumber: '1'},
+            headers);
+    });
+    t.end();
+});
+
+test('multipart upload', function (t) {
+    t.equal(translate('POST', 'vault', 'k', {uploads: ''}).operation,
+        'CreateMultipartUpload');
+    t.equal(translate('PUT', 'vault', 'k',
+        {uploadId: 'u', partNumber: '1'}).operation, 'UploadPart');
+    t.equal(translate('POST', 'vault', 'k', {uploadId: 'u'}).operation,
+        'CompleteMultipartUpload');
+    t.equal(translate('DELETE', 'vault', 'k', {uploadId: 'u'}).action,
+        'putobject');
+    t.equal(translate('GET', 'vault', undefined, {uploads: ''}).operation,
+        'ListMultipartUploads');
+    t.end();
+});
+
+test('delete objects', function (t) {
+    var r = s3.translateS3Request({
+        method: 'POST',
+        owner: 'banks',
+        bucket: 'vault',
+        query: {'delete': ''},
+        keys: ['a', 'b']
+    });
+    t.equal(r.operation, 'DeleteObjects');
+    t.deepEqual(r.additional.map(function (c) {
+        return (c.resource.path);
+    }), ['/banks/buckets/vault/objects/a', '/banks/buckets/vault/objects/b']);
+    t.equal(r.additional[0].owner, 'banks');
+
+    /* without the keys, only the bucket could be checked */
+    t.throws(function () {
+        translate('POST', 'vault', undefined, {'delete': ''});
+    });
+    t.end();
+});
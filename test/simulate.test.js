@@ -0,0 +1,129 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var fs = require('fs');
+var mahi = require('..');
+var mock = require('../lib/mock.js');
+var os = require('os');
+var path = require('path');
+var simulate = require('../lib/simulate.js');
+var test = require('tap').test;
+
+var FIXTURE = mock.createFixture({
+    accounts: [ {
+        login: 'banks',
+        roles: [ {name: 'readers'}, {name: 'administrator'} ],
+        users: [ {
+            login: 'bob',
+            roles: ['readers', 'administrator'],
+            defaultRoles: ['readers']
+        } ]
+    } ]
+});
+
+var client = mahi.createClient({url: 'http://127.0.0.1:1', typeTable: {}});
+var OPTS = {
+    client: client,
+    fixture: FIXTURE
+};
+
+test('runCase', function (t) {
+    simulate.runCase(OPTS, {
+        principal: 'banks/bob',
+        action: 'getobject',
+        resource: '/banks/stor/x',
+        roles: ['administrator']
+    }, function (err, result) {
+        t.ifError(err);
+        t.equal(result.outcome, 'allow');
+        t.equal(result.trace.shortCircuit, 'administrator');
+        t.ok(simulate.describeTrace(result.trace).length > 0);
+
+        simulate.runCase(OPTS, {
+            principal: 'banks/bob',
+            action: 'getobject'
+        }, function (err2, denied) {
+            t.ifError(err2);
+            t.equal(denied.allowed, false);
+            t.equal(denied.outcome, 'NoMatchingRoleTag');
+            t.end();
+        });
+    });
+});
+
+test('runMatrix reports changes', function (t) {
+    simulate.runMatrix(OPTS, {
+        cases: [ {
+            name: 'owner',
+            principal: 'banks',
+            action: 'putobject',
+            expect: 'allow'
+        }, {
+            name: 'tagged, no rules',
+            principal: 'banks/bob',
+            action: 'getobject',
+            roleTags: ['readers'],
+            expect: 'allow'
+        }, {
+            principal: 'banks/nobody',
+            action: 'getobject'
+        }, {
+            principal: 'banks'
+        } ]
+    }, function (err, report) {
+        t.ifError(err);
+        t.equal(report.changed, 1);
+        t.deepEqual(report.results.map(function (r) {
+            return ([r.name, r.outcome, r.changed]);
+        }), [
+            ['owner', 'allow', false],
+            ['tagged, no rules', 'RulesEvaluationFailed', true],
+            ['case 3', 'error', false],
+            ['case 4', 'error', false]
+        ]);
+        t.end();
+    });
+});
+
+test('principals need a source', function (t) {
+    simulate.runCase({client: client}, {
+        principal: 'banks',
+        action: 'getobject'
+    }, function (err) {
+        t.ok(err);
+        t.end();
+    });
+});
+
+test('JSON principals own their account by default', function (t) {
+    var file = path.join(os.tmpdir(),
+        'mahi-simulate-' + process.pid + '.json');
+    fs.writeFileSync(file, JSON.stringify({
+        account: FIXTURE.accountByLogin('banks').account,
+        roles: {}
+    }));
+
+    simulate.runCase({client: client}, {
+        principal: file,
+        action: 'putobject',
+        resource: '/banks/stor/x'
+    }, function (err, result) {
+        fs.unlinkSync(file);
+        t.ifError(err);
+        t.equal(result.outcome, 'allow');
+        t.equal(result.trace.shortCircuit, 'accountOwner');
+        t.end();
+    });
+});
+
+test('teardown', function (t) {
+    client.close();
+    t.end();
+});
@@ -0,0 +1,86 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var fs = require('fs');
+var LRU = require('lru-cache');
+var path = require('path');
+var snapshot = require('../lib/snapshot.js');
+var test = require('tap').test;
+
+var FILE = path.join(__dirname, '.snapshot.test.json');
+
+test('round trip keeps remaining TTLs', function (t) {
+    var cache = new LRU({
+        max: 10,
+        maxAge: 60000
+    });
+    cache.set('/accounts/a', {value: {login: 'a'}, time: 1});
+    cache.set('/accounts/b', {value: {login: 'b'}, time: 2});
+    cache.set('/short', 'x', 1);
+
+    setTimeout(function () {
+        var snap = snapshot.createSnapshot({auth: cache});
+        t.equal(snap.version, snapshot.VERSION);
+        t.equal(snap.caches.auth.length, 2, 'expired entry left out');
+        t.ok(snap.caches.auth.every(function (hit) {
+            return (hit.e > Date.now() && hit.e <= Date.now() + 60000);
+        }));
+
+        var restored = new LRU({
+            max: 10,
+            maxAge: 1000 * 60 * 5
+        });
+        restored.set('/accounts/a', {value: {login: 'newer'}, time: 3});
+        t.equal(snapshot.loadSnapshot({auth: restored}, snap), 1);
+        t.equal(restored.get('/accounts/a').value.login, 'newer');
+        t.deepEqual(restored.get('/accounts/b'),
+            {value: {login: 'b'}, time: 2});
+
+        /*
+         * a restored entry dumps with the same expiry, give or take the
+         * clock ticking over between loadSnapshot() and the cache's set()
+         */
+        var again = snapshot.createSnapshot({auth: restored});
+        var b = again.caches.auth.filter(function (hit) {
+            return (hit.k === '/accounts/b');
+        })[0];
+        var drift = b.e - snap.caches.auth.filter(function (hit) {
+            return (hit.k === '/accounts/b');
+        })[0].e;
+        t.ok(drift >= 0 && drift <= 5, 'same expiry');
+        t.end();
+    }, 10);
+});
+
+test('rejects unknown versions', function (t) {
+    t.throws(function () {
+        snapshot.loadSnapshot({}, {version: 99, caches: {}});
+    });
+    t.end();
+});
+
+test('file round trip', function (t) {
+    var snap = snapshot.createSnapshot({});
+    snapshot.writeFile(FILE, snap, function (err) {
+        t.ifError(err);
+        t.equal(fs.statSync(FILE).mode & parseInt('777', 8),
+            parseInt('600', 8));
+        snapshot.readFile(FILE, function (rErr, read) {
+            t.ifError(rErr);
+            t.deepEqual(read, snap);
+            fs.unlinkSync(FILE);
+            snapshot.readFile(FILE, function (mErr, missing) {
+                t.ifError(mErr);
+                t.equal(missing, undefined);
+                t.end();
+            });
+        });
+    });
+});